@@ -39,6 +39,24 @@ var uriTemplates = require('uri-templates');
  */
 
 
+/**
+ * Criteria for selecting links that share the same relation type.
+ *
+ * A link matches if its properties are equal to all criteria that are set.
+ * Media types are compared without parameters and language tags match more
+ * specific tags, e.g. 'en' matches 'en-US'. For embedded resources, the
+ * criteria are matched against their self link.
+ *
+ * @typedef {Object} LinkSelector
+ * @property {string} [baseUri]  - The URI to resolve relative hrefs against.
+ * @property {string} [name]     - The name of the link.
+ * @property {string} [type]     - The media type of the target resource.
+ * @property {string} [hreflang] - The language of the target resource.
+ * @property {string} [profile]  - The profile of the target resource.
+ * @property {string} [title]    - The title of the link.
+ */
+
+
 /**
  * Follow a link relation and return the URI of the target resource(s).
  *
@@ -46,37 +64,260 @@ var uriTemplates = require('uri-templates');
  * embedded resource (or resources), the self link of the embedded resource(s)
  * is used.
  *
+ * Relative hrefs are resolved against the base URI. If no base URI is given,
+ * the self link of the resource is used.
+ *
+ * The relation type may be a CURIE or a URI; it matches link relations that
+ * expand to the same URI using the curies links of the resource.
+ *
  * @param {Hal} resource the subject resource
  * @param {string} rel the link relation type
  * @param {Object.<string, Object>} [params] parameters to expand the target href URI Template with
+ * @param {string|LinkSelector} [selector] the URI to resolve relative hrefs against, or criteria for
+ *     selecting links
+ * @param {function(Deprecation)} [onDeprecation] called for followed links with a 'deprecation' property, once
+ *     per relation type and target URI
  * @returns {string|string[]|null} the target URI(s)
  */
-function linkHref(resource, rel, params) {
-  var link = resource._links[rel];
-  if (!link) {
-    // Fall through
-  } else if (!Array.isArray(link)) {
-    return resolveUri(link.href, params);
-  } else {
-    return link.map(function (l) {
-      return resolveUri(l.href, params);
-    });
+function linkHref(resource, rel, params, selector, onDeprecation) {
+  if (typeof selector === 'string') selector = {baseUri: selector};
+  if (!selector) selector = {};
+
+  var baseUri = selector.baseUri;
+  if (!baseUri && resource._links.self) baseUri = resource._links.self.href;
+
+  var found = findLinks(resource, rel, selector);
+  if (!found) return null;
+
+  var hrefs = found.links.map(function (link) {
+    return resolveReference(baseUri, found.embedded ? link.href : resolveUri(link.href, params));
+  });
+  if (!found.embedded && onDeprecation) {
+    if (!linkHrefDeprecations.has(onDeprecation)) linkHrefDeprecations.set(onDeprecation, {});
+    var reporter = reportOnce(onDeprecation, linkHrefDeprecations.get(onDeprecation));
+    reportDeprecations(found.key, found.links, hrefs, reporter);
   }
+  return found.isArray ? hrefs : hrefs[0];
+}
 
-  var embedded = resource._embedded[rel];
-  if (!embedded) {
-    // Fall through
-  } else if (!Array.isArray(embedded)) {
-    return embedded._links.self.href;
-  } else {
-    return embedded.map(function (e) {
-      return e._links.self.href;
+/**
+ * The deprecated links that were reported to the callbacks passed to linkHref, by relation type and target URI.
+ *
+ * @type {WeakMap<function(Deprecation), Object.<string, boolean>>}
+ */
+var linkHrefDeprecations = new WeakMap();
+
+/**
+ * Information about a followed link that is deprecated.
+ *
+ * @typedef {Object} Deprecation
+ * @property {string} rel         - The relation type, as it appears in the resource.
+ * @property {string} href        - The URI of the target resource.
+ * @property {string} deprecation - The URL to information about the deprecation of the link.
+ * @property {Link}   link        - The link.
+ */
+
+/**
+ * Report the followed links that are deprecated.
+ *
+ * @param {string} rel - The relation type, as it appears in the resource.
+ * @param {Link[]} links - The followed links.
+ * @param {string[]} hrefs - The URIs of the target resources.
+ * @param {function(Deprecation)} [onDeprecation] - The function to report them to.
+ */
+function reportDeprecations(rel, links, hrefs, onDeprecation) {
+  if (!onDeprecation) return;
+  links.forEach(function (link, i) {
+    if (link.deprecation) onDeprecation({rel: rel, href: hrefs[i], deprecation: link.deprecation, link: link});
+  });
+}
+
+/**
+ * Get the function that reports the deprecated links followed in a traversal to the 'onDeprecation' option.
+ * Each relation type and target URI is reported once per client.
+ *
+ * @param {Traversal} traversal - The traversal state.
+ *
+ * @returns {function(Deprecation)|undefined} The function, or undefined if there is no 'onDeprecation' option.
+ */
+function deprecationReporter(traversal) {
+  var callback = traversal.opts.onDeprecation;
+  if (!callback) return undefined;
+
+  return reportOnce(callback, traversal.client.deprecations);
+}
+
+/**
+ * Get a function that reports each deprecated link to a callback only once.
+ *
+ * @param {function(Deprecation)} callback - The callback.
+ * @param {Object.<string, boolean>} reported - The relation types and target URIs reported so far, to add to.
+ *
+ * @returns {function(Deprecation)} The function.
+ */
+function reportOnce(callback, reported) {
+  return function (deprecation) {
+    var key = deprecation.rel + ' ' + deprecation.href;
+    if (reported[key]) return;
+    reported[key] = true;
+    callback(deprecation);
+  };
+}
+
+/**
+ * Find the links of a resource that have a relation type and match a link selector.
+ *
+ * If the resource has no such links, the self links of matching embedded resources are returned.
+ *
+ * @param {Hal} resource the subject resource
+ * @param {string} rel the link relation type
+ * @param {LinkSelector} selector the criteria for selecting links
+ * @returns {{key: string, links: Link[], isArray: boolean, embedded: boolean}|null} the matching links, the
+ *     relation type as it appears in the resource, whether the resource has an array of links or embedded
+ *     resources for the relation type, and whether the links are self links of embedded resources; or
+ *     null if there are no matching links
+ */
+function findLinks(resource, rel, selector) {
+  var key = relKey(resource, resource._links, rel);
+  var found = selectLinks(key, resource._links[key], selector, false);
+  if (found) return found;
+
+  key = relKey(resource, resource._embedded, rel);
+  var embedded = resource._embedded[key];
+  if (embedded) {
+    // Embedded resources without a self link cannot be followed
+    var selfLinks = [].concat(embedded).map(function (e) {
+      return e._links && e._links.self;
+    }).filter(function (link) {
+      return link !== undefined;
     });
+    if (!selfLinks.length) return null;
+    return selectLinks(key, Array.isArray(embedded) ? selfLinks : selfLinks[0], selector, true);
   }
 
   return null;
 }
 
+/**
+ * Filter a link or link array using a link selector.
+ *
+ * @param {string} key the relation type as it appears in the resource
+ * @param {Link|Link[]} [links] the links
+ * @param {LinkSelector} selector the criteria for selecting links
+ * @param {boolean} embedded whether the links are self links of embedded resources
+ * @returns {{key: string, links: Link[], isArray: boolean, embedded: boolean}|null} the matching links (see
+ *     findLinks), or null if none match
+ */
+function selectLinks(key, links, selector, embedded) {
+  if (!links) return null;
+
+  var isArray = Array.isArray(links);
+  links = (isArray ? links : [links]).filter(function (link) {
+    return matchesLink(link, selector);
+  });
+  if (!links.length) return null;
+
+  return {key: key, links: links, isArray: isArray, embedded: embedded};
+}
+
+/**
+ * Check whether a link matches a link selector.
+ *
+ * @param {Link} link the link
+ * @param {LinkSelector} selector the criteria for selecting links
+ * @returns {boolean} true if the link matches all criteria
+ */
+function matchesLink(link, selector) {
+  return ['name', 'profile', 'title'].every(function (property) {
+    return selector[property] === undefined || selector[property] === link[property];
+  }) && (
+    selector.type === undefined || mediaType(selector.type) === mediaType(link.type)
+  ) && (
+    selector.hreflang === undefined || matchesLanguage(selector.hreflang, link.hreflang)
+  );
+}
+
+/**
+ * Get the media type without parameters and in lower case.
+ *
+ * @param {string} [type] the media type, possibly with parameters
+ * @returns {string|undefined} the normalized media type
+ */
+function mediaType(type) {
+  return type ? type.split(';')[0].trim().toLowerCase() : type;
+}
+
+/**
+ * Check whether a language tag matches a language range, e.g. 'en' matches 'en-US' (RFC 4647, section 3.3.1).
+ *
+ * @param {string} range the language range
+ * @param {string} [tag] the language tag
+ * @returns {boolean} true if the tag matches the range
+ */
+function matchesLanguage(range, tag) {
+  if (!tag) return false;
+  range = range.toLowerCase();
+  tag = tag.toLowerCase();
+  return range === '*' || tag === range || tag.indexOf(range + '-') === 0;
+}
+
+/**
+ * Check whether a media type can be requested as a HAL resource.
+ *
+ * @param {string} [type] the media type of a link; if absent, the target is assumed to be a HAL resource
+ * @returns {boolean} true if the type is absent or a JSON type
+ */
+function isHalType(type) {
+  type = mediaType(type);
+  return !type || type === 'application/json' || /\+json$/.test(type);
+}
+
+/**
+ * Find the key in the links or embedded resources of a resource that matches a relation type.
+ *
+ * An exact match is preferred. Otherwise, keys and relation type are compared after expanding
+ * CURIEs using the curies links of the resource.
+ *
+ * @param {Hal} resource the resource
+ * @param {Object} container the '_links' or '_embedded' property of the resource
+ * @param {string} rel the relation type; a CURIE, URI or registered relation type
+ * @returns {string|undefined} the key, or undefined if no key matches
+ */
+function relKey(resource, container, rel) {
+  if (Object.prototype.hasOwnProperty.call(container, rel)) return rel;
+
+  var curies = resource._links.curies;
+  if (!curies) return undefined;
+  curies = Array.isArray(curies) ? curies : [curies];
+
+  var expanded = expandCurie(curies, rel);
+  var keys = Object.keys(container);
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i] !== 'curies' && expandCurie(curies, keys[i]) === expanded) return keys[i];
+  }
+  return undefined;
+}
+
+/**
+ * Expand a CURIE to a URI.
+ *
+ * @param {Link[]} curies the curies links, where the name is the CURIE prefix
+ * @param {string} rel the relation type
+ * @returns {string} the expanded URI, or the relation type itself if it is not a CURIE with a known prefix
+ */
+function expandCurie(curies, rel) {
+  var colon = rel.indexOf(':');
+  if (colon === -1) return rel;
+
+  var prefix = rel.slice(0, colon);
+  for (var i = 0; i < curies.length; i++) {
+    if (curies[i].name === prefix) {
+      return uriTemplates(curies[i].href).fillFromObject({rel: rel.slice(colon + 1)});
+    }
+  }
+  return rel;
+}
+
 /**
  * Either pass through a URI unchanged, or resolve a URI Template if parameters are given.
  *
@@ -93,7 +334,151 @@ function resolveUri(uri, params) {
 
 
 /**
- * A resource context contains for every URI:
+ * Regular expression for splitting a URI reference into its components (RFC 3986, appendix B).
+ */
+var URI_PATTERN = /^(?:([^:\/?#]+):)?(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/;
+
+/**
+ * Resolve a URI reference against a base URI (RFC 3986, section 5.2).
+ *
+ * The scheme and host of the resulting URI are converted to lower case, so
+ * that equivalent URIs result in the same string. If there is no base URI,
+ * the reference is returned unchanged.
+ *
+ * @param {string} [baseUri] - The base URI; should be absolute.
+ * @param {string} ref - The URI reference.
+ * @returns {string} The target URI.
+ */
+function resolveReference(baseUri, ref) {
+  if (!baseUri || typeof ref !== 'string') return ref;
+
+  var base = parseUri(baseUri);
+  var r = parseUri(ref);
+  var t = {};
+
+  if (r.scheme !== undefined) {
+    t.scheme = r.scheme;
+    t.authority = r.authority;
+    t.path = removeDotSegments(r.path);
+    t.query = r.query;
+  } else {
+    if (r.authority !== undefined) {
+      t.authority = r.authority;
+      t.path = removeDotSegments(r.path);
+      t.query = r.query;
+    } else {
+      if (r.path === '') {
+        t.path = base.path;
+        t.query = r.query !== undefined ? r.query : base.query;
+      } else {
+        if (r.path.charAt(0) === '/') {
+          t.path = removeDotSegments(r.path);
+        } else {
+          t.path = removeDotSegments(mergePaths(base, r.path));
+        }
+        t.query = r.query;
+      }
+      t.authority = base.authority;
+    }
+    t.scheme = base.scheme;
+  }
+  t.fragment = r.fragment;
+
+  return formatUri(t);
+}
+
+/**
+ * Split a URI reference into its components.
+ *
+ * Components that are absent are undefined, which is different from being empty.
+ *
+ * @param {string} uri - The URI reference.
+ * @returns {{scheme: string, authority: string, path: string, query: string, fragment: string}} The components.
+ */
+function parseUri(uri) {
+  var match = URI_PATTERN.exec(uri);
+  return {scheme: match[1], authority: match[2], path: match[3], query: match[4], fragment: match[5]};
+}
+
+/**
+ * Recompose URI components into a URI reference (RFC 3986, section 5.3).
+ *
+ * @param {Object} components - The URI components, as returned by parseUri.
+ * @returns {string} The URI reference.
+ */
+function formatUri(components) {
+  var uri = '';
+  if (components.scheme !== undefined) {
+    uri += components.scheme.toLowerCase() + ':';
+  }
+  if (components.authority !== undefined) {
+    // Only the host is case-insensitive, not the user information
+    var at = components.authority.lastIndexOf('@') + 1;
+    uri += '//' + components.authority.slice(0, at) + components.authority.slice(at).toLowerCase();
+  }
+  uri += components.path;
+  if (components.query !== undefined) {
+    uri += '?' + components.query;
+  }
+  if (components.fragment !== undefined) {
+    uri += '#' + components.fragment;
+  }
+  return uri;
+}
+
+/**
+ * Merge a relative path with the path of a base URI (RFC 3986, section 5.2.3).
+ *
+ * @param {Object} base - The base URI components.
+ * @param {string} path - The relative path.
+ * @returns {string} The merged path.
+ */
+function mergePaths(base, path) {
+  if (base.authority !== undefined && base.path === '') {
+    return '/' + path;
+  }
+  return base.path.slice(0, base.path.lastIndexOf('/') + 1) + path;
+}
+
+/**
+ * Remove the "." and ".." segments from a path (RFC 3986, section 5.2.4).
+ *
+ * @param {string} path - The path.
+ * @returns {string} The path without dot segments.
+ */
+function removeDotSegments(path) {
+  var input = path;
+  var output = [];
+  while (input) {
+    if (input.indexOf('../') === 0) {
+      input = input.slice(3);
+    } else if (input.indexOf('./') === 0) {
+      input = input.slice(2);
+    } else if (input.indexOf('/./') === 0) {
+      input = input.slice(2);
+    } else if (input === '/.') {
+      input = '/';
+    } else if (input.indexOf('/../') === 0) {
+      input = input.slice(3);
+      output.pop();
+    } else if (input === '/..') {
+      input = '/';
+      output.pop();
+    } else if (input === '.' || input === '..') {
+      input = '';
+    } else {
+      var end = input.indexOf('/', 1);
+      if (end === -1) end = input.length;
+      output.push(input.slice(0, end));
+      input = input.slice(end);
+    }
+  }
+  return output.join('');
+}
+
+
+/**
+ * A resource context contains for every absolute URI:
  * - undefined if it has not been requested, or
  * - a promise of a resource if it has been requested, or
  * - a resource if the request has completed.
@@ -105,25 +490,37 @@ function resolveUri(uri, params) {
 /**
  * Add a HAL resource to the context.
  *
+ * The self link of the resource is resolved against the base URI to get the context key. Embedded
+ * resources without a self link are not added, but the resources they embed are.
+ *
  * @param {Context} context the resource context
  * @param {Hal} resource the HAL resource
+ * @param {string} [baseUri] the URI of the resource containing or retrieving this resource
+ * @returns {string|undefined} the absolute URI of the resource, or undefined if it has no self link
  */
-function addToContext(context, resource) {
-  context[resource._links.self.href] = resource;
+function addToContext(context, resource, baseUri) {
+  var self = resource._links.self;
+  var uri = self ? resolveReference(baseUri, self.href) : undefined;
+  if (uri !== undefined) context[uri] = resource;
+  rememberState(resource);
+  rememberEmbedded(resource);
 
   // Make sure _embedded exists so users can safely write "resource._embedded[rel]"
   if (!('_embedded' in resource)) {
     resource._embedded = {};
   }
 
-  // Also add any embedded resources
-  Object.keys(resource._embedded).forEach(function (rel) {
-    var embeds = resource._embedded[rel];
+  // Also add any resources embedded by the server
+  var embedded = receivedEmbedded(resource) || {};
+  Object.keys(embedded).forEach(function (rel) {
+    var embeds = embedded[rel];
     embeds = Array.isArray(embeds) ? embeds : [embeds];
     embeds.forEach(function (embed) {
-      addToContext(context, embed);
+      addToContext(context, embed, uri === undefined ? baseUri : uri);
     });
   });
+
+  return uri;
 }
 
 
@@ -133,152 +530,3591 @@ function addToContext(context, resource) {
  * linked but not embedded by the server.
  *
  * The embed request key is a relation type that should be embedded, the
- * (optional) value the embed request(s) for the embedded resources.
+ * (optional) value the embed request(s) for the embedded resources. The relation
+ * type may be a CURIE or a URI, which are matched as in linkHref. Resources are
+ * embedded under the relation type used by the links of the resource.
+ *
+ * Keys starting with '$' are not relation types, but options for embedding
+ * the resources the embed request applies to:
+ * - $optional: if true, a failure to get the resources does not fail the
+ *   whole request. Instead, the error is stored in the '_errors' property of
+ *   the embedding resource under the relation type.
+ * - $name, $type, $hreflang, $profile, $title: select only the links that
+ *   match, see LinkSelector. Unless $type is set, links with a media type
+ *   that is not JSON (such as images) are skipped.
+ * - $params: the parameters to expand templated links with, or a function
+ *   that returns the parameters given the embedding resource. Templated
+ *   links are skipped if there are no parameters.
+ * - $pages: true or PageOptions to follow the links to the next pages of a
+ *   paged collection. The embed request is applied to every page, and the
+ *   embedded resources of every relation type in the embed request are
+ *   aggregated into the first page.
+ *
+ * The key '*' is a wildcard for all relation types linked from the resource,
+ * except 'self', 'curies' and the relation types that are in the embed request
+ * themselves. Its value is the embed request for each of the linked resources.
+ * The wildcard has options of its own, next to it in the same embed request:
+ * - $depth: the number of levels the wildcard is applied to, 1 by default.
+ *   With depth 2, the resources linked from the embedded resources are
+ *   embedded as well, and so on.
+ * - $exclude: relation types that the wildcard does not apply to, on every level.
+ * Like any embedded resource, a resource that is linked from more than one
+ * place is requested once and embedded as the same object. Relation types that
+ * link back, such as 'up', can therefore make the embedded resources circular.
+ *
+ * Wherever an embed request is accepted, it may also be written as a string
+ * expression, see parseEmbeds.
  *
  * @typedef {Object.<string, EmbedRequest|null>} EmbedRequest
  */
 
 
 /**
- * Fetch a HAL resource.
+ * Get the relation types from an embed request, i.e. the keys that are not options.
  *
- * @param {string} uri - The resource URI.
- * @param {Object} opts - A fetch options object to be used with any GET request for linked resources.
- * @param {EmbedRequest[]} embeds  - Embed requests for the resource.
- * @param {Context}        context - The resource context to store resources in.
+ * @param {EmbedRequest|null} embeds - The embed request.
  *
- * @returns {Promise<Hal>} A promise that resolves to the HAL resource.
+ * @returns {string[]} The relation types.
  */
-function fetchHalJson(uri, opts, embeds, context) {
-  var promise;
-  if (uri in context) {
-    promise = Promise.resolve(context[uri]);
-  } else {
-    promise = fetch(uri, opts)
-        .then(function (response) {
-          return response.json();
-        })
-        .then(function (resource) {
-          addToContext(context, resource);
-          return resource;
-        });
+function embedRels(embeds) {
+  if (!embeds) return [];
+  return Object.keys(embeds).filter(function (key) {
+    return key.charAt(0) !== '$';
+  });
+}
+
+/**
+ * Expand the wildcard of an embed request to the relation types linked from a resource.
+ *
+ * @param {Hal} resource - The resource the embed request applies to.
+ * @param {EmbedRequest|null} embeds - The embed request.
+ *
+ * @returns {EmbedRequest|null} The embed request without wildcard.
+ */
+function expandWildcard(resource, embeds) {
+  if (!embeds || !Object.prototype.hasOwnProperty.call(embeds, '*')) return embeds;
+
+  var wildcard = embeds['*'];
+  var depth = embedOption(embeds, 'depth') || 1;
+  var exclude = embedOption(embeds, 'exclude') || [];
+
+  var linkedEmbeds = wildcard;
+  if (depth > 1) {
+    linkedEmbeds = {'*': wildcard, $depth: depth - 1, $exclude: exclude};
+    Object.keys(wildcard || {}).forEach(function (key) {
+      linkedEmbeds[key] = wildcard[key];
+    });
   }
-  context[uri] = promise;
-  return promise.then(function (resource) {
-    return fetchAndEmbedLinks(resource, opts, embeds, context);
+
+  var expanded = {};
+  var skipped = {self: true, curies: true};
+  Object.keys(embeds).forEach(function (key) {
+    if (key === '*' || key === '$depth' || key === '$exclude') return;
+    expanded[key] = embeds[key];
+    skipped[relKey(resource, resource._links, key)] = true;
   });
+  exclude.forEach(function (rel) {
+    skipped[relKey(resource, resource._links, rel)] = true;
+  });
+
+  Object.keys(resource._links).forEach(function (key) {
+    if (!skipped[key]) expanded[key] = linkedEmbeds;
+  });
+  return expanded;
 }
 
 /**
- * For all embed requests, get the linked resources and embed them.
+ * Get an option from an embed request.
  *
- * @param {Hal} resource - The HAL resource to process.
- * @param {Object} opts - A fetch options object to be used with any GET request for linked resources.
- * @param {EmbedRequest|null} embeds - The embed requests.
- * @param {Context} context - The resources context. Makes sure each resource is requested only once.
+ * @param {EmbedRequest|null} embeds - The embed request.
+ * @param {string} name - The option name, without the '$' prefix.
  *
- * @return {Promise<Hal>} A promise that resolve to the resource after all resources are embedded.
+ * @returns {*} The option value, or undefined if the option is not set.
  */
-function fetchAndEmbedLinks(resource, opts, embeds, context) {
-  if (!embeds) embeds = {};
-  var embedPromises = Object.keys(embeds).map(function (rel) {
-    return fetchAndEmbedLink(resource, opts, rel, embeds[rel], context);
-  })
-  // var embedPromises = embeds.map(function (embed) {
-  //   return fetchAndEmbedLink(resource, opts, embed, context);
-  // })
-  return Promise.all(embedPromises)
-      .then(function (/* ignore embedding result */) {
-        return resource;
-      });
+function embedOption(embeds, name) {
+  return embeds ? embeds['$' + name] : undefined;
 }
 
+
 /**
- * Get linked resources and embed them.
+ * Options for following the pages of a paged collection.
  *
- * @param {Hal} resource - The HAL resource to process.
- * @param {Object} opts - A fetch options object to be used with any GET request for linked resources.
- * @param {string} rel - The link relation to embed.
- * @param {EmbedRequest|null} embeds - Embed request for the related resource.
- * @param {Context} context - The resources context. Makes sure each resource is requested only once.
+ * @typedef {Object} PageOptions
+ * @property {string} [next]     - The relation type of the link to the next page; 'next' by default.
+ * @property {number} [maxPages] - The maximum number of pages, including the first page.
+ * @property {number} [maxItems] - The maximum number of items (per relation type).
+ */
+
+
+/**
+ * Get the criteria for selecting links from an embed request.
  *
- * @return {Promise<Hal>} A promise that resolve to the resource after all resources are embedded.
+ * @param {EmbedRequest|null} embeds - The embed request.
+ *
+ * @returns {LinkSelector} The link selector.
  */
-function fetchAndEmbedLink(resource, opts, rel, embeds, context) {
-  var hrefs = linkHref(resource, rel);
-  if (!hrefs) {
-    // Link relation does not exist, skip
-    return;
-  }
+function embedSelector(embeds) {
+  return {
+    name: embedOption(embeds, 'name'),
+    type: embedOption(embeds, 'type'),
+    hreflang: embedOption(embeds, 'hreflang'),
+    profile: embedOption(embeds, 'profile'),
+    title: embedOption(embeds, 'title')
+  };
+}
 
-  var linkedResourcesPromise;
-  if (Array.isArray(hrefs)) {
-    linkedResourcesPromise = Promise.all(hrefs.map(function (href) {
-      return fetchHalJson(href, opts, embeds, context);
-    }));
+
+/**
+ * An error that is thrown when an embed request expression cannot be parsed.
+ *
+ * @constructor
+ * @param {string} reason     - What is wrong.
+ * @param {string} expression - The expression.
+ * @param {number} position   - The position in the expression where the problem was found.
+ */
+function EmbedParseError(reason, expression, position) {
+  this.name = 'EmbedParseError';
+  this.message = reason + ' at position ' + position + ' of "' + expression + '"';
+  this.expression = expression;
+  this.position = position;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, EmbedParseError);
   } else {
-    linkedResourcesPromise = fetchHalJson(hrefs, opts, embeds, context);
+    this.stack = new Error(this.message).stack;
   }
-  return linkedResourcesPromise.then(function (linkedResources) {
-    resource._embedded[rel] = linkedResources;
-    return resource;
-  });
 }
 
+EmbedParseError.prototype = Object.create(Error.prototype);
+EmbedParseError.prototype.constructor = EmbedParseError;
+
 
 /**
- * Convert a HAL resource to its resource state, i.e. return a copy with '_links' and '_embedded' removed.
+ * Parse an embed request expression.
  *
- * @param {Hal} resource - The HAL resource.
+ * The expression is a comma-separated list of relation types. Each relation type may be followed by the
+ * embed request for the embedded resources in parentheses. For example, 'car,friends(car,employer)' is the
+ * same as {car: null, friends: {car: null, employer: null}}. Whitespace between relation types is ignored.
+ * Embed request options cannot be expressed.
  *
- * @returns {Object} The resource state.
+ * @param {string} expression - The embed request expression.
+ *
+ * @returns {EmbedRequest} The embed request.
+ * @throws {EmbedParseError} If the expression is not valid.
  */
-function toState(resource) {
-  var data = {};
-  Object.keys(resource).forEach(function (key) {
-    if (key !== '_links' && key !== '_embedded') {
-      data[key] = resource[key];
+function parseEmbeds(expression) {
+  var position = 0;
+
+  var current = function () {
+    return expression.charAt(position);
+  };
+
+  var describe = function () {
+    return position < expression.length ? "'" + current() + "'" : 'the end';
+  };
+
+  var skipWhitespace = function () {
+    while (/\s/.test(current())) position += 1;
+  };
+
+  var parseList = function (nested) {
+    var embeds = {};
+    skipWhitespace();
+    if (position === expression.length || (nested && current() === ')')) return embeds;
+
+    for (;;) {
+      skipWhitespace();
+      var start = position;
+      while (position < expression.length && !/[\s,()]/.test(current())) position += 1;
+      if (position === start) {
+        throw new EmbedParseError('Expected a relation type but found ' + describe(), expression, position);
+      }
+      var rel = expression.slice(start, position);
+      if (Object.prototype.hasOwnProperty.call(embeds, rel)) {
+        throw new EmbedParseError("Duplicate relation type '" + rel + "'", expression, start);
+      }
+
+      skipWhitespace();
+      var value = null;
+      if (current() === '(') {
+        position += 1;
+        value = parseList(true);
+        if (current() !== ')') {
+          throw new EmbedParseError("Expected ',' or ')' but found " + describe(), expression, position);
+        }
+        position += 1;
+        skipWhitespace();
+      }
+      embeds[rel] = value;
+
+      if (current() !== ',') return embeds;
+      position += 1;
     }
-  })
-  return data;
+  };
+
+  var embeds = parseList(false);
+  if (position < expression.length) {
+    throw new EmbedParseError("Expected ',' but found " + describe(), expression, position);
+  }
+  return embeds;
 }
 
+/**
+ * Format an embed request as an expression, see parseEmbeds.
+ *
+ * @param {EmbedRequest|null} embeds - The embed request.
+ *
+ * @returns {string} The embed request expression.
+ * @throws {Error} If the embed request contains options or relation types that cannot be expressed.
+ */
+function formatEmbeds(embeds) {
+  return Object.keys(embeds || {}).map(function (key) {
+    if (key.charAt(0) === '$') {
+      throw new Error("Embed request option '" + key + "' cannot be formatted");
+    }
+    if (!key || /[\s,()]/.test(key)) {
+      throw new Error("Relation type '" + key + "' cannot be formatted");
+    }
+    var nested = formatEmbeds(embeds[key]);
+    return nested ? key + '(' + nested + ')' : key;
+  }).join(',');
+}
 
 /**
- * Convert a HAL resource to a fetch body, i.e. the stringified JSON with '_links' and '_embedded' removed.
+ * Get an embed request that may be written as an expression.
  *
- * @param {Hal} resource - The HAL resource.
+ * @param {EmbedRequest|string|null|undefined} embeds - The embed request or expression.
  *
- * @returns {string} The fetch body.
+ * @returns {EmbedRequest|null|undefined} The embed request.
  */
-function stateBody(resource) {
-  return JSON.stringify(toState(resource));
+function toEmbedRequest(embeds) {
+  return typeof embeds === 'string' ? parseEmbeds(embeds) : embeds;
 }
 
 
 /**
- * Perform an HTTP GET request for a HAL resource and ensure certain linked resources are embedded.
+ * An error that is thrown when a request for a HAL resource does not result in a successful response.
  *
- * @param {Object} opts - A fetch options object to be used with any GET request for linked resources.
- * @param {EmbedRequest} [embeds] - Embed request(s) for linked resources. If absent, 'opts.embeds' is used.
+ * @constructor
+ * @param {string}   uri     - The URI of the resource.
+ * @param {number}   status  - The HTTP response status.
+ * @param {string[]} relPath - The relation types that were followed from the root resource to get to the resource.
+ * @param {*}        body    - The response body; parsed if it is JSON.
+ */
+function HalFetchError(uri, status, relPath, body) {
+  this.name = 'HalFetchError';
+  this.message = 'Request for ' + uri + ' failed with status ' + status +
+      (relPath.length ? ' (embedding ' + relPath.join(' > ') + ')' : '');
+  this.uri = uri;
+  this.status = status;
+  this.relPath = relPath;
+  this.body = body;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, HalFetchError);
+  } else {
+    this.stack = new Error(this.message).stack;
+  }
+}
+
+HalFetchError.prototype = Object.create(Error.prototype);
+HalFetchError.prototype.constructor = HalFetchError;
+
+
+/**
+ * An error that is thrown when a conditional request fails because the resource was modified by
+ * someone else (412 Precondition Failed).
  *
- * @returns {Promise<Hal>} A promise that resolves to the resource after all resources are embedded.
+ * @constructor
+ * @extends HalFetchError
+ * @param {string}   uri     - The URI of the resource.
+ * @param {number}   status  - The HTTP response status.
+ * @param {string[]} relPath - The relation types that were followed from the root resource to get to the resource.
+ * @param {*}        body    - The response body; parsed if it is JSON.
  */
-function halJson(opts, embeds) {
-  if (!embeds) embeds = opts.embeds;
-  return function (response) {
-    return response.json().then(function (resource) {
-      var context = {};
-      addToContext(context, resource);
-      return fetchAndEmbedLinks(resource, opts, embeds, context);
-    })
+function HalConflictError(uri, status, relPath, body) {
+  HalFetchError.call(this, uri, status, relPath, body);
+  this.name = 'HalConflictError';
+}
+
+HalConflictError.prototype = Object.create(HalFetchError.prototype);
+HalConflictError.prototype.constructor = HalConflictError;
+
+
+/**
+ * An error that is thrown when a request for a HAL resource is aborted using the 'signal' option.
+ *
+ * @constructor
+ * @param {string}   uri     - The URI of the resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource to get to the resource.
+ * @param {string}   [reason] - Why the request was aborted; 'was aborted' by default.
+ */
+function HalAbortError(uri, relPath, reason) {
+  this.name = 'HalAbortError';
+  this.message = 'Request for ' + uri + ' ' + (reason || 'was aborted') +
+      (relPath.length ? ' (embedding ' + relPath.join(' > ') + ')' : '');
+  this.uri = uri;
+  this.relPath = relPath;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, HalAbortError);
+  } else {
+    this.stack = new Error(this.message).stack;
   }
 }
 
+HalAbortError.prototype = Object.create(Error.prototype);
+HalAbortError.prototype.constructor = HalAbortError;
+
+
+/**
+ * An error that is thrown when a request for a HAL resource, or all requests for a resource and its
+ * linked resources, take longer than the 'timeout' or 'totalTimeout' option.
+ *
+ * @constructor
+ * @extends HalAbortError
+ * @param {string}   uri     - The URI of the resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource to get to the resource.
+ * @param {number}   timeout - The timeout in milliseconds.
+ */
+function HalTimeoutError(uri, relPath, timeout) {
+  HalAbortError.call(this, uri, relPath, 'timed out after ' + timeout + ' ms');
+  this.name = 'HalTimeoutError';
+  this.timeout = timeout;
+}
+
+HalTimeoutError.prototype = Object.create(HalAbortError.prototype);
+HalTimeoutError.prototype.constructor = HalTimeoutError;
+
+
+/**
+ * Parse the body of a response to a request for a HAL resource.
+ *
+ * If an adapter matches the Content-Type of the response, the body is converted to HAL.
+ *
+ * @param {Response}  response   - The fetch response.
+ * @param {string}    uri        - The URI of the requested resource.
+ * @param {string[]}  relPath    - The relation types that were followed from the root resource.
+ * @param {Adapter[]} [adapters] - The adapters from the options.
+ *
+ * @returns {Promise<Hal>} A promise that resolves to the resource, or rejects with a HalFetchError
+ *     if the response status is not successful.
+ */
+function parseResponse(response, uri, relPath, adapters) {
+  if (response.ok) {
+    return response.json().then(function (document) {
+      var adapter = findAdapter(adapters, response.headers.get('Content-Type'));
+      return adapter ? adapter.toHal(document, response.url || uri) : document;
+    });
+  }
+  return response.text().then(function (text) {
+    var body;
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      body = text;
+    }
+    var ErrorType = response.status === 412 ? HalConflictError : HalFetchError;
+    throw new ErrorType(response.url || uri, response.status, relPath, body);
+  });
+}
+
+
+/**
+ * A request for a linked resource, as seen by interceptors.
+ *
+ * @typedef {Object} InterceptedRequest
+ * @property {string}   uri     - The URI to fetch.
+ * @property {Object}   opts    - The fetch options.
+ * @property {string}   [rel]   - The relation type of the link that is followed; absent for the root resource.
+ * @property {string[]} relPath - The relation types that were followed from the root resource.
+ */
+
+/**
+ * An interceptor changes the requests for linked resources, or the resources in the responses. Both
+ * functions are optional and may return a promise.
+ *
+ * @typedef {Object} Interceptor
+ * @property {function(InterceptedRequest): InterceptedRequest} [request] - Change a request before it is sent,
+ *     and return it. Changing the URI does not change the URI the resource is known by.
+ * @property {function(Hal, Response, InterceptedRequest): Hal} [response] - Inspect or change a parsed
+ *     resource before it is added to the context, and return it.
+ */
+
+/**
+ * Run the request interceptors in order.
+ *
+ * @param {Interceptor[]} interceptors - The interceptors.
+ * @param {InterceptedRequest} request - The request.
+ *
+ * @returns {Promise<InterceptedRequest>} A promise that resolves to the request to send.
+ */
+function interceptRequest(interceptors, request) {
+  return interceptors.reduce(function (promise, interceptor) {
+    return interceptor.request ? promise.then(interceptor.request) : promise;
+  }, Promise.resolve(request));
+}
+
+/**
+ * Run the response interceptors in order.
+ *
+ * @param {Interceptor[]} interceptors - The interceptors.
+ * @param {Hal} resource - The parsed resource.
+ * @param {Response} response - The fetch response.
+ * @param {InterceptedRequest} request - The request that was sent.
+ *
+ * @returns {Promise<Hal>} A promise that resolves to the resource to add to the context.
+ */
+function interceptResponse(interceptors, resource, response, request) {
+  return interceptors.reduce(function (promise, interceptor) {
+    if (!interceptor.response) return promise;
+    return promise.then(function (resource) {
+      return interceptor.response(resource, response, request);
+    });
+  }, Promise.resolve(resource));
+}
+
+
+/**
+ * A record of getting a resource in a trace.
+ *
+ * The source is where the resource came from:
+ * - 'context': a resource that was already requested in the same traversal;
+ * - 'embedded': a resource that the server embedded in a resource that was requested in the same traversal;
+ * - 'cache': a fresh resource in the client cache;
+ * - 'pending': a request for the resource that was already in progress;
+ * - 'fetch': a new request.
+ *
+ * @typedef {Object} TraceEntry
+ * @property {string}   uri          - The absolute URI of the resource.
+ * @property {string[]} relPath      - The relation types that were followed from the root resource.
+ * @property {string}   source       - Where the resource came from.
+ * @property {number}   start        - When the resource was needed, in milliseconds since the epoch.
+ * @property {number}   [end]        - When the resource was available, or the request failed.
+ * @property {number}   [fetchStart] - When the request was sent; later than start if the request was queued.
+ * @property {number}   [attempts]   - The number of times the request was sent.
+ * @property {number}   [status]     - The HTTP response status.
+ * @property {string}   [error]      - The error message if getting the resource failed.
+ */
+
+/**
+ * A trace of getting resources, for finding out which requests are slow. Set the 'trace' option to a
+ * trace to record all resources that are needed for getting resources and embedding linked resources.
+ *
+ * @constructor
+ */
+function Trace() {
+  /** @type {TraceEntry[]} */
+  this.entries = [];
+}
+
+/**
+ * Record that a resource is needed.
+ *
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ *
+ * @returns {TraceEntry} The entry, to be completed when the resource is available.
+ */
+Trace.prototype.start = function (uri, relPath) {
+  var entry = {uri: uri, relPath: relPath, source: undefined, start: Date.now()};
+  this.entries.push(entry);
+  return entry;
+};
+
+/**
+ * Get the entries, for JSON.stringify.
+ *
+ * @returns {TraceEntry[]} Copies of the entries, without undefined properties.
+ */
+Trace.prototype.toJSON = function () {
+  return this.entries.map(definedProperties);
+};
+
+/**
+ * Convert the completed requests to a HAR (HTTP Archive) log. Headers, sizes and other details that are not
+ * recorded are left empty. The relation types that were followed, the number of attempts and the error message
+ * are added as the custom '_relPath', '_attempts' and '_error' properties.
+ *
+ * @returns {Object} The HAR object.
+ */
+Trace.prototype.toHar = function () {
+  var entries = this.entries.filter(function (entry) {
+    return entry.source === 'fetch' && entry.end !== undefined;
+  }).map(function (entry) {
+    var fetchStart = entry.fetchStart === undefined ? entry.end : entry.fetchStart;
+    var harEntry = {
+      startedDateTime: new Date(entry.start).toISOString(),
+      time: entry.end - entry.start,
+      request: {
+        method: 'GET',
+        url: entry.uri,
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        queryString: [],
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: entry.status || 0,
+        statusText: '',
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        content: {size: -1, mimeType: ''},
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: {
+        blocked: fetchStart - entry.start,
+        send: 0,
+        wait: entry.end - fetchStart,
+        receive: 0
+      },
+      _relPath: entry.relPath,
+      _attempts: entry.attempts
+    };
+    if (entry.error) harEntry._error = entry.error;
+    return harEntry;
+  });
+  return {log: {version: '1.2', creator: {name: 'hally', version: ''}, entries: entries}};
+};
+
+
+/**
+ * The state of getting a resource and embedding linked resources.
+ *
+ * @typedef {Object} Traversal
+ * @property {Client}  client  - The client that gets the resources.
+ * @property {Object}  opts    - A fetch options object to be used with any GET request for linked resources.
+ * @property {Context} context - The resources that were requested during the traversal. Makes sure each resource
+ *     is requested only once.
+ * @property {Object.<string, boolean>} embedded - The URIs in the context of resources that were embedded by
+ *     the server.
+ */
+
+
+/**
+ * Run a traversal, which can be aborted using the 'signal' option and limited in time using the
+ * 'totalTimeout' option.
+ *
+ * @param {Client} client - The client that gets the resources.
+ * @param {Object} opts - A fetch options object to be used with any GET request for linked resources.
+ * @param {string} uri - The URI of the root resource.
+ * @param {function(Traversal): Promise<Hal>} run - Run the traversal.
+ *
+ * @returns {Promise<Hal>} The result of the traversal, or a promise that rejects with a HalAbortError.
+ */
+function traverse(client, opts, uri, run) {
+  var signal = opts.signal;
+  var timer;
+  var linked;
+  if (opts.totalTimeout) {
+    linked = linkedAbortController(signal);
+    timer = setTimeout(function () {
+      linked.controller.abort(new HalTimeoutError(uri, [], opts.totalTimeout));
+    }, opts.totalTimeout);
+    signal = linked.controller.signal;
+    opts = copyOpts(opts);
+    opts.signal = signal;
+  }
+
+  var promise = run({client: client, opts: opts, context: {}, embedded: {}});
+  if (signal) promise = abortable(promise, signal, uri, []);
+  if (linked) {
+    var done = function () {
+      clearTimeout(timer);
+      linked.unlink();
+    };
+    promise.then(done, done);
+  }
+  return promise;
+}
+
+/**
+ * Create an abort controller that is aborted when a signal is aborted.
+ *
+ * The controller listens to the signal until it is unlinked, which should be done when the request it is
+ * used for is settled, so that long-lived signals do not collect listeners.
+ *
+ * @param {AbortSignal} [signal] - The signal.
+ *
+ * @returns {{controller: AbortController, unlink: function()}} The abort controller and a function that stops
+ *     listening to the signal.
+ */
+function linkedAbortController(signal) {
+  var controller = createAbortController();
+  var onAbort = function () {
+    controller.abort(signal.reason);
+  };
+  if (signal && signal.aborted) {
+    controller.abort(signal.reason);
+  } else if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+  return {
+    controller: controller,
+    unlink: function () {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Create an abort controller, also on platforms without AbortController.
+ *
+ * @returns {AbortController} The abort controller.
+ */
+function createAbortController() {
+  return typeof AbortController === 'function' ? new AbortController() : new SimpleAbortController();
+}
+
+/**
+ * A minimal abort controller for platforms without AbortController. Fetch implementations on those
+ * platforms do not support signals, but requests are still rejected when the signal is aborted.
+ *
+ * @constructor
+ */
+function SimpleAbortController() {
+  var listeners = [];
+  this.signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener: function (type, listener) {
+      listeners.push(listener);
+    },
+    removeEventListener: function (type, listener) {
+      listeners = listeners.filter(function (other) {
+        return other !== listener;
+      });
+    }
+  };
+  this.abort = function (reason) {
+    if (this.signal.aborted) return;
+    this.signal.aborted = true;
+    this.signal.reason = reason;
+    listeners.slice().forEach(function (listener) {
+      listener();
+    });
+  };
+}
+
+/**
+ * Reject as soon as a signal is aborted, whether or not the fetch implementation supports signals.
+ *
+ * @param {Promise} promise - The promise.
+ * @param {AbortSignal} signal - The signal.
+ * @param {string} uri - The URI of the requested resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ *
+ * @returns {Promise} A promise that settles as the promise, or rejects with a HalAbortError if the signal is
+ *     aborted first.
+ */
+function abortable(promise, signal, uri, relPath) {
+  return new Promise(function (resolve, reject) {
+    var onAbort = function () {
+      reject(abortError(signal, uri, relPath));
+    };
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort);
+    promise.then(function (value) {
+      signal.removeEventListener('abort', onAbort);
+      resolve(value);
+    }, function (error) {
+      signal.removeEventListener('abort', onAbort);
+      // The fetch implementation may reject with its own error
+      reject(signal.aborted ? abortError(signal, uri, relPath) : error);
+    });
+  });
+}
+
+/**
+ * Options for retrying failed GET requests.
+ *
+ * @typedef {Object} RetryOptions
+ * @property {number} [attempts] - The maximum number of attempts, including the first; 3 by default.
+ * @property {number} [delay] - The base delay in milliseconds; 100 by default. The delay before the nth retry is
+ *     a random time (jitter) up to the base delay times 2^(n-1) (exponential backoff).
+ * @property {number} [maxDelay] - The maximum delay in milliseconds; 10000 by default. The delay is taken from the
+ *     'Retry-After' header of the response if it has one; the request is not retried if it is longer.
+ * @property {function(Error, number): boolean} [retryOn] - Decide whether to retry after an error, given the
+ *     number of attempts so far. By default, requests are retried after a network error, a request timeout
+ *     or a HalFetchError with status 408, 429, 500, 502, 503 or 504.
+ */
+
+/**
+ * The statuses of failed requests that are retried by default.
+ *
+ * @type {number[]}
+ */
+var RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Send a request and retry it according to the 'retry' option.
+ *
+ * @param {function(): Promise} request - Send the request.
+ * @param {Object} opts - The fetch options, with the 'retry' and 'signal' options.
+ * @param {string} uri - The URI of the requested resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ * @param {function(): string|undefined} retryAfter - Get the 'Retry-After' header of the last response.
+ *
+ * @returns {Promise} A promise that resolves to the result of the first successful attempt, or rejects with
+ *     the error of the last attempt.
+ */
+function retryRequest(request, opts, uri, relPath, retryAfter) {
+  var retry = opts.retry;
+  if (!retry) return request();
+
+  var attempts = retry.attempts || 3;
+  var retryOn = retry.retryOn || isRetryable;
+  var attempt = function (number) {
+    return request().catch(function (error) {
+      if (number >= attempts || (opts.signal && opts.signal.aborted) || !retryOn(error, number)) throw error;
+
+      var delay = retryDelay(retry, number, retryAfter());
+      if (delay === undefined) throw error;
+      return sleep(delay, opts.signal, uri, relPath).then(function () {
+        return attempt(number + 1);
+      });
+    });
+  };
+  return attempt(1);
+}
+
+/**
+ * The errors that fetch rejected with, i.e. network errors. Other errors, such as a TypeError thrown by an
+ * interceptor or adapter, are not retried by default.
+ *
+ * @type {WeakMap<Error, boolean>}
+ */
+var networkErrors = new WeakMap();
+
+/**
+ * Check whether a failed request should be retried by default.
+ *
+ * @param {Error} error - The error.
+ *
+ * @returns {boolean} True for network errors, request timeouts and HalFetchErrors with a transient status.
+ */
+function isRetryable(error) {
+  if (error instanceof HalFetchError) return RETRY_STATUSES.indexOf(error.status) !== -1;
+  return error instanceof HalTimeoutError || networkErrors.has(error);
+}
+
+/**
+ * Get the delay before retrying a request.
+ *
+ * @param {RetryOptions} retry - The retry options.
+ * @param {number} number - The number of attempts so far.
+ * @param {string} [retryAfter] - The 'Retry-After' header of the response: a number of seconds or a date.
+ *
+ * @returns {number|undefined} The delay in milliseconds, or undefined if the server asks to wait longer than
+ *     the maximum delay.
+ */
+function retryDelay(retry, number, retryAfter) {
+  var maxDelay = retry.maxDelay === undefined ? 10000 : retry.maxDelay;
+  if (retryAfter) {
+    var delay = /^\s*\d+\s*$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!isNaN(delay)) return delay > maxDelay ? undefined : Math.max(delay, 0);
+  }
+  var base = retry.delay === undefined ? 100 : retry.delay;
+  return Math.random() * Math.min(maxDelay, base * Math.pow(2, number - 1));
+}
+
+/**
+ * Wait for some time.
+ *
+ * @param {number} delay - The time in milliseconds.
+ * @param {AbortSignal} [signal] - A signal that stops waiting.
+ * @param {string} uri - The URI of the requested resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ *
+ * @returns {Promise} A promise that resolves after the delay, or rejects with a HalAbortError if the signal is
+ *     aborted first.
+ */
+function sleep(delay, signal, uri, relPath) {
+  var timer;
+  var promise = new Promise(function (resolve) {
+    timer = setTimeout(resolve, delay);
+  });
+  if (!signal) return promise;
+
+  promise = abortable(promise, signal, uri, relPath);
+  promise.catch(function () {
+    clearTimeout(timer);
+  });
+  return promise;
+}
+
+/**
+ * Get the error for an aborted request.
+ *
+ * @param {AbortSignal} signal - The aborted signal.
+ * @param {string} uri - The URI of the requested resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ *
+ * @returns {HalAbortError} The reason of the signal if it is a HalAbortError (such as a HalTimeoutError), or
+ *     a new HalAbortError otherwise.
+ */
+function abortError(signal, uri, relPath) {
+  return signal.reason instanceof HalAbortError ? signal.reason : new HalAbortError(uri, relPath);
+}
+
+
+/**
+ * Fetch a HAL resource.
+ *
+ * @param {string}   uri     - The absolute resource URI.
+ * @param {string[]} relPath - The relation types that were followed from the root resource to get to the resource.
+ * @param {EmbedRequest[]} embeds  - Embed requests for the resource.
+ * @param {Traversal} traversal - The traversal state.
+ * @param {string} [profile] - The profile of the link that was followed to the resource.
+ *
+ * @returns {Promise<Hal>} A promise that resolves to the HAL resource.
+ */
+function fetchHalJson(uri, relPath, embeds, traversal, profile) {
+  var context = traversal.context;
+  var entry = traversal.opts.trace ? traversal.opts.trace.start(uri, relPath) : undefined;
+  var promise;
+  if (uri in context) {
+    if (entry) entry.source = traversal.embedded[uri] ? 'embedded' : 'context';
+    promise = Promise.resolve(context[uri]).then(function (resource) {
+      // The resource was validated against its own profiles when it was received, but not against the link's
+      if (!profile || resourceProfiles(resource, uri).indexOf(profile) >= 0) return resource;
+      return validateProfile(resource, uri, relPath, profile, traversal).then(function () {
+        return resource;
+      });
+    });
+  } else {
+    promise = traversal.client.load(uri, relPath, traversal.opts, entry)
+        .then(function (loaded) {
+          Object.keys(loaded.context).forEach(function (loadedUri) {
+            context[loadedUri] = loaded.context[loadedUri];
+            if (loadedUri !== uri && loaded.context[loadedUri] !== loaded.resource) {
+              traversal.embedded[loadedUri] = true;
+            }
+          });
+          return validateResources(loaded.context, loaded.resource, relPath, profile, traversal).then(function () {
+            return loaded.resource;
+          });
+        });
+  }
+  context[uri] = promise;
+  if (entry) {
+    promise.then(function () {
+      entry.end = Date.now();
+    }, function (error) {
+      entry.end = Date.now();
+      entry.error = error.message;
+      if (error.status) entry.status = error.status;
+    });
+  }
+  return promise.then(function (resource) {
+    return fetchAndEmbedLinks(resource, uri, relPath, embeds, traversal);
+  });
+}
+
+/**
+ * For all embed requests, get the linked resources and embed them.
+ *
+ * @param {Hal} resource - The HAL resource to process.
+ * @param {string} baseUri - The absolute URI of the resource, used to resolve relative links.
+ * @param {string[]} relPath - The relation types that were followed from the root resource to get to the resource.
+ * @param {EmbedRequest|null} embeds - The embed requests.
+ * @param {Traversal} traversal - The traversal state.
+ *
+ * @return {Promise<Hal>} A promise that resolve to the resource after all resources are embedded.
+ */
+function fetchAndEmbedLinks(resource, baseUri, relPath, embeds, traversal) {
+  embeds = expandWildcard(resource, embeds);
+  var embedPromises = embedRels(embeds).map(function (rel) {
+    return fetchAndEmbedLink(resource, baseUri, relPath.concat(rel), rel, embeds[rel], traversal);
+  });
+  var promise = Promise.all(embedPromises)
+      .then(function (/* ignore embedding result */) {
+        return resource;
+      });
+
+  var pages = embedOption(embeds, 'pages');
+  if (pages) {
+    promise = promise.then(function () {
+      return fetchAndEmbedPages(resource, baseUri, relPath, embeds, traversal, pages === true ? {} : pages);
+    });
+  }
+  return promise;
+}
+
+/**
+ * Follow the links to the next pages of a paged collection, apply the embed request to every
+ * page and aggregate the embedded resources into the first page.
+ *
+ * @param {Hal} resource - The first page.
+ * @param {string} baseUri - The absolute URI of the first page, used to resolve relative links.
+ * @param {string[]} relPath - The relation types that were followed from the root resource to get to the first page.
+ * @param {EmbedRequest} embeds - The embed request for every page.
+ * @param {Traversal} traversal - The traversal state.
+ * @param {PageOptions} options - The options for following pages.
+ *
+ * @return {Promise<Hal>} A promise that resolves to the first page after all pages are aggregated.
+ */
+function fetchAndEmbedPages(resource, baseUri, relPath, embeds, traversal, options) {
+  var nextRel = options.next || 'next';
+  var maxPages = options.maxPages || Infinity;
+  var maxItems = options.maxItems || Infinity;
+
+  var pageEmbeds = {};
+  Object.keys(embeds).forEach(function (key) {
+    if (key !== '$pages') pageEmbeds[key] = embeds[key];
+  });
+
+  var rels = embedRels(embeds);
+  var items = {};
+  rels.forEach(function (rel) {
+    items[rel] = pageItems(resource, rel);
+  });
+
+  var visited = {};
+  visited[baseUri] = true;
+  var pageCount = 1;
+
+  var follow = function (page, pageUri, pageRelPath) {
+    var enough = rels.every(function (rel) {
+      return items[rel].length >= maxItems;
+    });
+    var nextUri = firstHref(linkHref(page, nextRel, undefined, pageUri, deprecationReporter(traversal)));
+    if (enough || pageCount >= maxPages || !nextUri || visited[nextUri]) {
+      return Promise.resolve();
+    }
+
+    visited[nextUri] = true;
+    pageCount += 1;
+    var nextRelPath = pageRelPath.concat(nextRel);
+    return fetchHalJson(nextUri, nextRelPath, pageEmbeds, traversal).then(function (nextPage) {
+      rels.forEach(function (rel) {
+        items[rel] = items[rel].concat(pageItems(nextPage, rel));
+      });
+      return follow(nextPage, nextUri, nextRelPath);
+    });
+  };
+
+  return follow(resource, baseUri, relPath).then(function () {
+    rels.forEach(function (rel) {
+      var key = relKey(resource, resource._embedded, rel);
+      if (key === undefined) key = relKey(resource, resource._links, rel);
+      if (key === undefined) key = rel;
+      if (items[rel].length) {
+        resource._embedded[key] = items[rel].slice(0, maxItems);
+      }
+    });
+    return resource;
+  });
+}
+
+/**
+ * Get the embedded resources of a page.
+ *
+ * @param {Hal} page - The page.
+ * @param {string} rel - The relation type of the embedded resources.
+ *
+ * @returns {Hal[]} The embedded resources.
+ */
+function pageItems(page, rel) {
+  var embedded = page._embedded[relKey(page, page._embedded, rel)];
+  if (!embedded) return [];
+  return Array.isArray(embedded) ? embedded : [embedded];
+}
+
+/**
+ * Get the first of the results of linkHref.
+ *
+ * @param {string|string[]|null} hrefs - The target URI(s).
+ *
+ * @returns {string|null|undefined} The first target URI.
+ */
+function firstHref(hrefs) {
+  return Array.isArray(hrefs) ? hrefs[0] : hrefs;
+}
+
+/**
+ * Get the profile of the link to a resource that the server embedded, if the resource also links to it.
+ *
+ * @param {Hal} resource - The HAL resource that embeds the other.
+ * @param {string} key - The relation type as it appears in the resource.
+ * @param {string} baseUri - The absolute URI of the resource, used to resolve relative links.
+ * @param {string} href - The absolute URI of the embedded resource.
+ *
+ * @returns {string|undefined} The profile of the link.
+ */
+function linkProfile(resource, key, baseUri, href) {
+  var links = [].concat((resource._links || {})[key] || []).filter(function (link) {
+    return link.profile && !link.templated && resolveReference(baseUri, link.href) === href;
+  });
+  return links.length ? links[0].profile : undefined;
+}
+
+/**
+ * Get linked resources and embed them.
+ *
+ * If the embed request is optional, failed requests are recorded in the '_errors' property of
+ * the resource instead of rejecting the returned promise.
+ *
+ * @param {Hal} resource - The HAL resource to process.
+ * @param {string} baseUri - The absolute URI of the resource, used to resolve relative links.
+ * @param {string[]} relPath - The relation types that were followed from the root resource, including rel.
+ * @param {string} rel - The link relation to embed.
+ * @param {EmbedRequest|null} embeds - Embed request for the related resource.
+ * @param {Traversal} traversal - The traversal state.
+ *
+ * @return {Promise<Hal>} A promise that resolve to the resource after all resources are embedded.
+ */
+function fetchAndEmbedLink(resource, baseUri, relPath, rel, embeds, traversal) {
+  var found = findLinks(resource, rel, embedSelector(embeds));
+  if (!found) {
+    // Link relation does not exist, skip
+    return;
+  }
+
+  var params = embedOption(embeds, 'params');
+  if (typeof params === 'function') params = params(resource);
+
+  var links = found.links;
+  if (!found.embedded) {
+    // Skip links to resources that are not HAL, such as images, and templated links without parameters
+    var anyType = embedOption(embeds, 'type') !== undefined;
+    links = links.filter(function (link) {
+      return (anyType || isHalType(link.type)) && (!link.templated || params);
+    });
+    if (!links.length) return;
+  }
+  var hrefs = links.map(function (link) {
+    return resolveReference(baseUri, link.templated ? resolveUri(link.href, params) : link.href);
+  });
+  if (!found.embedded) reportDeprecations(found.key, links, hrefs, deprecationReporter(traversal));
+
+  // Use the relation type as it appears in the resource, which may be a CURIE
+  var key = found.key;
+
+  var errors = [];
+  var optional = embedOption(embeds, 'optional');
+  var fetchLinked = function (href, i) {
+    var profile = found.embedded ? linkProfile(resource, key, baseUri, href) : links[i].profile;
+    var linkedResourcePromise = fetchHalJson(href, relPath, embeds, traversal, profile);
+    if (optional) {
+      linkedResourcePromise = linkedResourcePromise.catch(function (error) {
+        // Aborting the traversal also aborts optional requests
+        if (traversal.opts.signal && traversal.opts.signal.aborted) throw error;
+        errors.push(error);
+        return null;
+      });
+    }
+    return linkedResourcePromise;
+  };
+
+  var linkedResourcesPromise;
+  if (found.isArray) {
+    linkedResourcesPromise = Promise.all(hrefs.map(fetchLinked)).then(function (linkedResources) {
+      return linkedResources.filter(function (linkedResource) {
+        return linkedResource !== null;
+      });
+    });
+  } else {
+    linkedResourcesPromise = fetchLinked(hrefs[0], 0);
+  }
+  return linkedResourcesPromise.then(function (linkedResources) {
+    if (linkedResources) {
+      resource._embedded[key] = linkedResources;
+    }
+    if (errors.length) {
+      if (!resource._errors) resource._errors = {};
+      resource._errors[key] = found.isArray ? errors : errors[0];
+    }
+    return resource;
+  });
+}
+
+
+/**
+ * Convert a HAL resource to its resource state, i.e. return a copy with '_links', '_embedded', '_templates' and
+ * '_errors' removed.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {Object} The resource state.
+ */
+function toState(resource) {
+  var data = {};
+  Object.keys(resource).forEach(function (key) {
+    if (key !== '_links' && key !== '_embedded' && key !== '_templates' && key !== '_errors') {
+      data[key] = resource[key];
+    }
+  })
+  return data;
+}
+
+
+/**
+ * Convert a HAL resource to a fetch body, i.e. the stringified JSON with '_links', '_embedded', '_templates' and
+ * '_errors' removed.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {string} The fetch body.
+ */
+function stateBody(resource) {
+  return JSON.stringify(toState(resource));
+}
+
+
+/**
+ * The content type of a JSON Merge Patch body (RFC 7396).
+ */
+var MERGE_PATCH_CONTENT_TYPE = 'application/merge-patch+json';
+
+/**
+ * The content type of a JSON Patch body (RFC 6902).
+ */
+var JSON_PATCH_CONTENT_TYPE = 'application/json-patch+json';
+
+/**
+ * The resource state of resources when they were received, used to determine what was modified.
+ *
+ * @type {WeakMap<Hal, Object>}
+ */
+var receivedStates = new WeakMap();
+
+/**
+ * Remember the current state of a resource as its received state.
+ *
+ * @param {Hal} resource - The HAL resource.
+ */
+function rememberState(resource) {
+  receivedStates.set(resource, JSON.parse(stateBody(resource)));
+}
+
+/**
+ * Get the state of a resource when it was received. Resources that were not received through this module
+ * have an empty received state.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {Object} The received resource state.
+ */
+function receivedState(resource) {
+  return receivedStates.get(resource) || {};
+}
+
+
+/**
+ * The embedded resources of resources when they were received, i.e. the resources embedded by the server.
+ * The value is null for resources that were received without an '_embedded' property.
+ *
+ * @type {WeakMap<Hal, Object.<string, Hal|Hal[]>|null>}
+ */
+var receivedEmbeds = new WeakMap();
+
+/**
+ * Remember the embedded resources of a resource as the ones embedded by the server. Only the first call
+ * for a resource has effect, so that resources embedded by this module are never included.
+ *
+ * @param {Hal} resource - The HAL resource.
+ */
+function rememberEmbedded(resource) {
+  if (receivedEmbeds.has(resource)) return;
+
+  var embedded = null;
+  if (resource._embedded) {
+    embedded = {};
+    Object.keys(resource._embedded).forEach(function (rel) {
+      embedded[rel] = resource._embedded[rel];
+    });
+  }
+  receivedEmbeds.set(resource, embedded);
+}
+
+/**
+ * Get the resources embedded by the server.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {Object.<string, Hal|Hal[]>|null|undefined} The embedded resources; null if the resource was
+ *     received without an '_embedded' property, undefined if it was not received through this module.
+ */
+function receivedEmbedded(resource) {
+  return receivedEmbeds.get(resource);
+}
+
+
+/**
+ * Convert a HAL resource back to the document that was received, i.e. return a copy where the
+ * resources that this module embedded are replaced by links.
+ *
+ * The resource state is the current state, including modifications. Resources embedded by the server
+ * are converted recursively. For resources that were not received through this module, all embedded
+ * resources are considered to be embedded by the server.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {Object} The HAL document.
+ */
+function toHal(resource) {
+  var hal = {_links: {}};
+  Object.keys(resource._links).forEach(function (rel) {
+    hal._links[rel] = resource._links[rel];
+  });
+
+  var state = toState(resource);
+  Object.keys(state).forEach(function (key) {
+    hal[key] = state[key];
+  });
+  if (resource._templates) hal._templates = resource._templates;
+
+  var current = resource._embedded || {};
+  var received = receivedEmbedded(resource);
+  var serverEmbedded = received === undefined ? current : received;
+
+  // Make sure resources embedded by this module remain linked
+  Object.keys(current).forEach(function (rel) {
+    if (!(serverEmbedded && rel in serverEmbedded) && !(rel in hal._links)) {
+      hal._links[rel] = mapEmbedded(current[rel], function (embedded) {
+        return {href: embedded._links.self.href};
+      });
+    }
+  });
+
+  if (serverEmbedded && (received !== undefined || Object.keys(serverEmbedded).length)) {
+    hal._embedded = {};
+    Object.keys(serverEmbedded).forEach(function (rel) {
+      hal._embedded[rel] = mapEmbedded(serverEmbedded[rel], toHal);
+    });
+  }
+
+  return hal;
+}
+
+/**
+ * Apply a function to an embedded resource or to each resource of an array of embedded resources.
+ *
+ * @param {Hal|Hal[]} embedded - The embedded resource(s).
+ * @param {function(Hal): *} fn - The function.
+ *
+ * @returns {*|Array} The result(s) of the function.
+ */
+function mapEmbedded(embedded, fn) {
+  return Array.isArray(embedded) ? embedded.map(fn) : fn(embedded);
+}
+
+/**
+ * Convert a HAL resource to a fetch body containing the document that was received, see toHal.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {string} The fetch body.
+ */
+function halBody(resource) {
+  return JSON.stringify(toHal(resource));
+}
+
+
+/**
+ * A normalized store of HAL resources, see normalize.
+ *
+ * @typedef {Object} Store
+ * @property {string|Hal} root - The absolute URI of the normalized resource, or the resource itself if its URI
+ *     is unknown.
+ * @property {Object.<string, Hal>} entities - The resources by absolute URI. Their embedded resources are
+ *     replaced by their URIs; embedded resources without a self link remain embedded.
+ */
+
+/**
+ * Normalize a resource and the resources embedded in it, recursively, into a store of resources by absolute URI.
+ *
+ * Embedding resources that link to each other results in cyclic objects, which cannot be converted to JSON.
+ * The store has no cycles, because embedded resources are replaced by their URIs. Relative self links are
+ * resolved against the URI of the embedding resource. Embedded resources without a self link have no URI;
+ * where they embed themselves again, that embedded resource is left out. Use denormalize to get a resource
+ * with embedded resources from the store.
+ *
+ * @param {Hal} resource - The HAL resource.
+ * @param {string} [baseUri] - The absolute URI of the resource. Defaults to the href of the self link.
+ *
+ * @returns {Store} The store.
+ */
+function normalize(resource, baseUri) {
+  var entities = {};
+  var self = resource._links && resource._links.self;
+  var uri = self ? resolveReference(baseUri, self.href) : baseUri;
+  var root = normalizeResource(resource, uri, entities, {resources: [], uris: []});
+  return {root: root, entities: entities};
+}
+
+/**
+ * Add a resource and the resources embedded in it to the entities of a store.
+ *
+ * A resource may be found more than once with different embedded resources, for example as an embedded
+ * resource and as a resource embedded by the server. The entity has the embedded resources of both.
+ *
+ * @param {Hal} resource - The HAL resource.
+ * @param {string} [uri] - The absolute URI of the resource, if it is known.
+ * @param {Object.<string, Hal>} entities - The entities of the store.
+ * @param {{resources: Hal[], uris: string[]}} visited - The resources that were already added and their URIs,
+ *     to stop at cycles.
+ *
+ * @returns {string|Hal|undefined} The URI of the resource, or the normalized resource if its URI is unknown, or
+ *     undefined if it was already added but its URI is unknown.
+ */
+function normalizeResource(resource, uri, entities, visited) {
+  var index = visited.resources.indexOf(resource);
+  if (index >= 0) return visited.uris[index];
+  visited.resources.push(resource);
+  visited.uris.push(uri);
+
+  var entity = uri !== undefined && entities[uri];
+  if (!entity) {
+    entity = {};
+    Object.keys(resource).forEach(function (key) {
+      if (key !== '_embedded') entity[key] = resource[key];
+    });
+    if (resource._embedded) entity._embedded = {};
+    if (uri !== undefined) entities[uri] = entity;
+  }
+
+  Object.keys(resource._embedded || {}).forEach(function (rel) {
+    if (rel in entity._embedded) return;
+    var refs = mapEmbedded(resource._embedded[rel], function (embedded) {
+      var self = embedded._links && embedded._links.self;
+      var embeddedUri = self ? resolveReference(uri, self.href) : undefined;
+      return normalizeResource(embedded, embeddedUri, entities, visited);
+    });
+    if (Array.isArray(refs)) {
+      entity._embedded[rel] = refs.filter(function (ref) {
+        return ref !== undefined;
+      });
+    } else if (refs !== undefined) {
+      entity._embedded[rel] = refs;
+    }
+  });
+
+  return uri !== undefined ? uri : entity;
+}
+
+/**
+ * Get a resource from a store with the resources embedded in it, up to a depth. The result has no cycles, and
+ * changing it does not change the store.
+ *
+ * @param {Store} store - The store, see normalize.
+ * @param {string|Hal} [uri] - The absolute URI of the resource; the root of the store if absent.
+ * @param {number} [depth=1] - The depth of the embedded resources; 0 to embed no resources.
+ *
+ * @returns {Hal|undefined} The resource, or undefined if it is not in the store.
+ */
+function denormalize(store, uri, depth) {
+  return denormalizeResource(store.entities, uri === undefined ? store.root : uri, depth === undefined ? 1 : depth);
+}
+
+/**
+ * Get a resource from the entities of a store with the resources embedded in it, up to a depth.
+ *
+ * @param {Object.<string, Hal>} entities - The entities of the store.
+ * @param {string|Hal} ref - The absolute URI of the resource, or a resource without a self link.
+ * @param {number} depth - The depth of the embedded resources.
+ *
+ * @returns {Hal|undefined} The resource, or undefined if it is not in the store.
+ */
+function denormalizeResource(entities, ref, depth) {
+  var entity = typeof ref === 'string' ? entities[ref] : ref;
+  if (!entity) return undefined;
+
+  var resource = {};
+  Object.keys(entity).forEach(function (key) {
+    if (key !== '_embedded') resource[key] = entity[key];
+  });
+  if (!entity._embedded) return resource;
+
+  resource._embedded = {};
+  if (depth > 0) {
+    Object.keys(entity._embedded).forEach(function (rel) {
+      var embedded = mapEmbedded(entity._embedded[rel], function (embeddedRef) {
+        return denormalizeResource(entities, embeddedRef, depth - 1);
+      });
+      if (Array.isArray(embedded)) {
+        resource._embedded[rel] = embedded.filter(function (embeddedResource) {
+          return embeddedResource !== undefined;
+        });
+      } else if (embedded !== undefined) {
+        resource._embedded[rel] = embedded;
+      }
+    });
+  }
+  return resource;
+}
+
+
+/**
+ * Create a JSON Merge Patch (RFC 7396) from the modifications to a resource since it was received.
+ *
+ * Note that a merge patch cannot set a property to null, because that removes the property.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {Object} The merge patch.
+ */
+function mergePatch(resource) {
+  return mergePatchDiff(receivedState(resource), JSON.parse(stateBody(resource)));
+}
+
+/**
+ * Create a merge patch that transforms one object into another.
+ *
+ * @param {Object} from - The original object.
+ * @param {Object} to - The modified object.
+ *
+ * @returns {Object} The merge patch.
+ */
+function mergePatchDiff(from, to) {
+  var patch = {};
+  Object.keys(from).forEach(function (key) {
+    if (!(key in to)) patch[key] = null;
+  });
+  Object.keys(to).forEach(function (key) {
+    if (!(key in from)) {
+      patch[key] = to[key];
+    } else if (isPlainObject(from[key]) && isPlainObject(to[key])) {
+      var nested = mergePatchDiff(from[key], to[key]);
+      if (Object.keys(nested).length) patch[key] = nested;
+    } else if (!deepEqual(from[key], to[key])) {
+      patch[key] = to[key];
+    }
+  });
+  return patch;
+}
+
+/**
+ * Convert the modifications to a resource since it was received to a JSON Merge Patch fetch body.
+ *
+ * Use it with the 'application/merge-patch+json' content type (MERGE_PATCH_CONTENT_TYPE).
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {string} The fetch body.
+ */
+function mergePatchBody(resource) {
+  return JSON.stringify(mergePatch(resource));
+}
+
+
+/**
+ * Create a JSON Patch (RFC 6902) from the modifications to a resource since it was received.
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {Object[]} The patch operations.
+ */
+function jsonPatch(resource) {
+  var operations = [];
+  jsonPatchDiff('', receivedState(resource), JSON.parse(stateBody(resource)), operations);
+  return operations;
+}
+
+/**
+ * Add the JSON Patch operations that transform one value into another.
+ *
+ * @param {string} path - The JSON Pointer to the value.
+ * @param {*} from - The original value.
+ * @param {*} to - The modified value.
+ * @param {Object[]} operations - The operations to add to.
+ */
+function jsonPatchDiff(path, from, to, operations) {
+  if (deepEqual(from, to)) return;
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    Object.keys(from).forEach(function (key) {
+      if (!(key in to)) operations.push({op: 'remove', path: path + '/' + escapePointer(key)});
+    });
+    Object.keys(to).forEach(function (key) {
+      var keyPath = path + '/' + escapePointer(key);
+      if (key in from) {
+        jsonPatchDiff(keyPath, from[key], to[key], operations);
+      } else {
+        operations.push({op: 'add', path: keyPath, value: to[key]});
+      }
+    });
+  } else if (Array.isArray(from) && Array.isArray(to)) {
+    var common = Math.min(from.length, to.length);
+    for (var i = 0; i < common; i++) {
+      jsonPatchDiff(path + '/' + i, from[i], to[i], operations);
+    }
+    for (i = from.length - 1; i >= common; i--) {
+      operations.push({op: 'remove', path: path + '/' + i});
+    }
+    for (i = common; i < to.length; i++) {
+      operations.push({op: 'add', path: path + '/' + i, value: to[i]});
+    }
+  } else {
+    operations.push({op: 'replace', path: path, value: to});
+  }
+}
+
+/**
+ * Convert the modifications to a resource since it was received to a JSON Patch fetch body.
+ *
+ * Use it with the 'application/json-patch+json' content type (JSON_PATCH_CONTENT_TYPE).
+ *
+ * @param {Hal} resource - The HAL resource.
+ *
+ * @returns {string} The fetch body.
+ */
+function jsonPatchBody(resource) {
+  return JSON.stringify(jsonPatch(resource));
+}
+
+/**
+ * Escape a reference token of a JSON Pointer (RFC 6901).
+ *
+ * @param {string} token - The reference token, e.g. an object key.
+ *
+ * @returns {string} The escaped token.
+ */
+function escapePointer(token) {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Check whether a value is a plain JSON object, i.e. not null or an array.
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {boolean} True if the value is an object.
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether two JSON values are equal.
+ *
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ *
+ * @returns {boolean} True if the values are equal.
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every(function (value, i) {
+      return deepEqual(value, b[i]);
+    });
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    var keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(function (key) {
+      return key in b && deepEqual(a[key], b[key]);
+    });
+  }
+  return false;
+}
+
+
+/**
+ * A property of a HAL-FORMS template, see https://rwcbook.github.io/hal-forms/. The options, if any,
+ * have the 'inline', 'link', 'selectedValues', 'minItems', 'maxItems', 'promptField' and 'valueField'
+ * properties of the template.
+ *
+ * @typedef {Object} HalFormProperty
+ * @property {string}  name
+ * @property {string}  [prompt]
+ * @property {string}  type       - The input type, 'text' by default.
+ * @property {boolean} required
+ * @property {boolean} readOnly
+ * @property {boolean} templated
+ * @property {*}       [value]
+ * @property {string}  [regex]
+ * @property {number}  [min]
+ * @property {number}  [max]
+ * @property {number}  [minLength]
+ * @property {number}  [maxLength]
+ * @property {number}  [step]
+ * @property {Object}  [options]
+ */
+
+/**
+ * A problem with a payload for a HAL-FORMS template.
+ *
+ * @typedef {Object} HalFormViolation
+ * @property {string} name    - The name of the property.
+ * @property {string} message - What is wrong.
+ */
+
+/**
+ * A HAL-FORMS template of a resource.
+ *
+ * @constructor
+ * @param {string} key      - The key of the template in the '_templates' property.
+ * @param {Object} template - The template.
+ * @param {string} baseUri  - The URI to resolve the target against.
+ */
+function HalForm(key, template, baseUri) {
+  this.key = key;
+  this.title = template.title;
+  this.method = (template.method || 'GET').toUpperCase();
+  this.target = resolveReference(baseUri, template.target || '');
+  this.contentType = template.contentType || 'application/json';
+  /** @type {HalFormProperty[]} */
+  this.properties = (template.properties || []).map(function (property) {
+    var copy = {type: 'text'};
+    Object.keys(property).forEach(function (name) {
+      copy[name] = property[name];
+    });
+    copy.required = !!property.required;
+    copy.readOnly = !!property.readOnly;
+    copy.templated = !!property.templated;
+    return copy;
+  });
+}
+
+/**
+ * Validate a payload against the properties of the form.
+ *
+ * A property that is required must have a value other than null or the empty string. Other values are
+ * checked against the regex (which must match the whole value), min, max, minLength, maxLength and inline
+ * options of the property. A read-only property may only have its template value.
+ *
+ * @param {Object} payload - The payload.
+ *
+ * @returns {HalFormViolation[]} The problems with the payload; empty if it is valid.
+ */
+HalForm.prototype.validate = function (payload) {
+  var violations = [];
+  this.properties.forEach(function (property) {
+    var value = payload[property.name];
+    var violation = function (message) {
+      violations.push({name: property.name, message: "Property '" + property.name + "' " + message});
+    };
+
+    if (value === undefined || value === null || value === '') {
+      if (property.required) violation('is required');
+      return;
+    }
+    if (property.readOnly && !deepEqual(value, property.value)) {
+      violation('is read-only');
+      return;
+    }
+
+    var values = Array.isArray(value) ? value : [value];
+    values.forEach(function (value) {
+      if (property.regex && !new RegExp('^(?:' + property.regex + ')$').test(String(value))) {
+        violation('does not match ' + property.regex);
+      }
+      if (property.min !== undefined || property.max !== undefined) {
+        var number = Number(value);
+        if (typeof value === 'boolean' || isNaN(number)) {
+          violation('must be a number');
+        } else if (property.min !== undefined && number < property.min) {
+          violation('must be at least ' + property.min);
+        } else if (property.max !== undefined && number > property.max) {
+          violation('must be at most ' + property.max);
+        }
+      }
+      if (property.minLength !== undefined && String(value).length < property.minLength) {
+        violation('must be at least ' + property.minLength + ' characters');
+      }
+      if (property.maxLength !== undefined && String(value).length > property.maxLength) {
+        violation('must be at most ' + property.maxLength + ' characters');
+      }
+    });
+
+    var options = property.options;
+    if (!options) return;
+    if (options.minItems !== undefined && values.length < options.minItems) {
+      violation('must have at least ' + options.minItems + ' values');
+    }
+    if (options.maxItems !== undefined && values.length > options.maxItems) {
+      violation('must have at most ' + options.maxItems + ' values');
+    }
+    if (options.inline) {
+      var allowed = options.inline.map(function (option) {
+        return isPlainObject(option) ? option[options.valueField || 'value'] : option;
+      });
+      values.forEach(function (value) {
+        if (!allowed.some(function (option) {
+          return deepEqual(option, value);
+        })) {
+          violation('must be one of the options');
+        }
+      });
+    }
+  });
+  return violations;
+};
+
+/**
+ * Convert a payload to a fetch body of the content type of the form. Supported content types are
+ * 'application/json' (and other JSON types) and 'application/x-www-form-urlencoded'.
+ *
+ * @param {Object} payload - The payload.
+ *
+ * @returns {string} The body.
+ * @throws {Error} If the content type is not supported.
+ */
+HalForm.prototype.body = function (payload) {
+  if (mediaType(this.contentType) === 'application/x-www-form-urlencoded') {
+    return formUrlEncode(payload);
+  }
+  if (!/^application\/(.+\+)?json$/.test(mediaType(this.contentType))) {
+    throw new Error('Unsupported form content type: ' + this.contentType);
+  }
+  return JSON.stringify(payload);
+};
+
+/**
+ * An error that is thrown when a payload is submitted that is not valid for a HAL-FORMS template.
+ *
+ * @constructor
+ * @param {HalForm}            form       - The form.
+ * @param {HalFormViolation[]} violations - The problems with the payload.
+ */
+function HalFormError(form, violations) {
+  this.name = 'HalFormError';
+  this.message = 'Invalid payload for form ' + form.key + ': ' + violations.map(function (violation) {
+    return violation.message;
+  }).join(', ');
+  this.form = form;
+  this.violations = violations;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, HalFormError);
+  } else {
+    this.stack = new Error(this.message).stack;
+  }
+}
+
+HalFormError.prototype = Object.create(Error.prototype);
+HalFormError.prototype.constructor = HalFormError;
+
+/**
+ * Get the HAL-FORMS templates of a resource.
+ *
+ * @param {Hal} resource - The HAL resource.
+ * @param {string} [baseUri] - The URI to resolve targets against. Defaults to the href of the self link.
+ *
+ * @returns {Object.<string, HalForm>} The forms, by the key of their template.
+ * @throws {Error} If the resource has no self link and no base URI is given.
+ */
+function forms(resource, baseUri) {
+  if (baseUri === undefined) {
+    var self = resource._links && resource._links.self;
+    if (!self) {
+      throw new Error('Cannot resolve the targets of forms of a resource without a self link; pass a base URI');
+    }
+    baseUri = self.href;
+  }
+  var templates = resource._templates || {};
+  var result = {};
+  Object.keys(templates).forEach(function (key) {
+    result[key] = new HalForm(key, templates[key], baseUri);
+  });
+  return result;
+}
+
+/**
+ * Encode a payload as application/x-www-form-urlencoded. Array values are encoded as repeated names.
+ *
+ * @param {Object} payload - The payload.
+ *
+ * @returns {string} The encoded payload.
+ */
+function formUrlEncode(payload) {
+  var pairs = [];
+  Object.keys(payload).forEach(function (name) {
+    var values = Array.isArray(payload[name]) ? payload[name] : [payload[name]];
+    values.forEach(function (value) {
+      if (value === undefined || value === null) return;
+      pairs.push(encodeURIComponent(name) + '=' + encodeURIComponent(value));
+    });
+  });
+  return pairs.join('&');
+}
+
+
+/**
+ * Options for validating resources against the JSON Schemas of their profiles.
+ *
+ * The profiles of a resource are the 'profile' property of the link that was followed to it and the hrefs
+ * of its 'profile' links. The resource state (see toState) is validated against the schema of every profile
+ * that has one.
+ *
+ * @typedef {Object} SchemaOptions
+ * @property {Object.<string, Object|string>} profiles - The JSON Schemas by profile URI, or the URIs to fetch
+ *     them from, which may be the profile URIs themselves.
+ * @property {string} [mode] - 'strict' (the default) to reject with a HalSchemaError if a resource is not
+ *     valid, or 'warn' to report the error and continue.
+ * @property {function(HalSchemaError)} [warn] - Report an invalid resource in 'warn' mode; console.warn by
+ *     default.
+ */
+
+/**
+ * A problem with the state of a resource, found by validating it against a JSON Schema.
+ *
+ * @typedef {Object} SchemaViolation
+ * @property {string} pointer - The JSON Pointer (RFC 6901) of the invalid value in the resource state.
+ * @property {string} message - A description of the problem.
+ */
+
+/**
+ * An error that is thrown when the state of a resource does not match the JSON Schema of its profile.
+ *
+ * @constructor
+ * @param {string}            uri        - The URI of the resource.
+ * @param {string[]}          relPath    - The relation types that were followed from the root resource to get
+ *     to the resource.
+ * @param {string}            profile    - The profile URI.
+ * @param {SchemaViolation[]} violations - The problems with the resource state.
+ */
+function HalSchemaError(uri, relPath, profile, violations) {
+  this.name = 'HalSchemaError';
+  this.message = 'Resource ' + uri + ' does not match the schema of profile ' + profile +
+      (relPath.length ? ' (embedding ' + relPath.join(' > ') + ')' : '') + ': ' +
+      violations.map(function (violation) {
+        return violation.message;
+      }).join(', ');
+  this.uri = uri;
+  this.relPath = relPath;
+  this.profile = profile;
+  this.violations = violations;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, HalSchemaError);
+  } else {
+    this.stack = new Error(this.message).stack;
+  }
+}
+
+HalSchemaError.prototype = Object.create(Error.prototype);
+HalSchemaError.prototype.constructor = HalSchemaError;
+
+/**
+ * Validate received resources against the JSON Schemas of their profiles, according to the 'schemas' option.
+ *
+ * @param {Context} loaded - The received resources, including embedded resources, by URI.
+ * @param {Hal} resource - The requested resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ * @param {string} [profile] - The profile of the link that was followed to the requested resource.
+ * @param {Traversal} traversal - The traversal state.
+ *
+ * @returns {Promise} A promise that resolves when the resources are validated, or rejects with a
+ *     HalSchemaError in 'strict' mode.
+ */
+function validateResources(loaded, resource, relPath, profile, traversal) {
+  var options = traversal.opts.schemas;
+  if (!options) return Promise.resolve();
+
+  var validated = [];
+  var checks = [];
+  Object.keys(loaded).forEach(function (loadedUri) {
+    var received = loaded[loadedUri];
+    if (validated.indexOf(received) >= 0) return;
+    validated.push(received);
+
+    var linkProfile = received === resource ? profile : undefined;
+    resourceProfiles(received, loadedUri, linkProfile).forEach(function (resourceProfile) {
+      checks.push(validateProfile(received, loadedUri, relPath, resourceProfile, traversal));
+    });
+  });
+  return Promise.all(checks);
+}
+
+/**
+ * Validate a resource against the JSON Schema of a profile, according to the 'schemas' option. In 'warn'
+ * mode, schemas that cannot be fetched are reported like invalid resources.
+ *
+ * @param {Hal} resource - The HAL resource.
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ * @param {string} profile - The profile URI.
+ * @param {Traversal} traversal - The traversal state.
+ *
+ * @returns {Promise} A promise that resolves when the resource is validated, or rejects with a
+ *     HalSchemaError or the error of fetching the schema in 'strict' mode.
+ */
+function validateProfile(resource, uri, relPath, profile, traversal) {
+  var options = traversal.opts.schemas;
+  if (!options || !options.profiles[profile]) return Promise.resolve();
+
+  var warn = options.warn || console.warn.bind(console);
+  return profileSchema(traversal, profile).then(function (schema) {
+    var violations = schemaViolations(schema, toState(resource), '', schema);
+    if (!violations.length) return;
+
+    var error = new HalSchemaError(uri, relPath, profile, violations);
+    if (options.mode !== 'warn') throw error;
+    warn(error);
+  }, function (error) {
+    // Aborting the traversal also aborts the requests for schemas
+    if (options.mode !== 'warn' || (traversal.opts.signal && traversal.opts.signal.aborted)) throw error;
+    warn(error);
+  });
+}
+
+/**
+ * Get the profiles of a resource.
+ *
+ * @param {Hal} resource - The HAL resource.
+ * @param {string} baseUri - The absolute URI of the resource, used to resolve relative profile links.
+ * @param {string} [profile] - The profile of the link that was followed to the resource.
+ *
+ * @returns {string[]} The profile URIs.
+ */
+function resourceProfiles(resource, baseUri, profile) {
+  var profiles = profile ? [profile] : [];
+  [].concat((resource._links || {}).profile || []).forEach(function (link) {
+    var href = resolveReference(baseUri, link.href);
+    if (profiles.indexOf(href) === -1) profiles.push(href);
+  });
+  return profiles;
+}
+
+/**
+ * Get the JSON Schema of a profile, fetching it if the 'schemas' option contains its URI. Fetched schemas
+ * are kept by the client.
+ *
+ * @param {Traversal} traversal - The traversal state.
+ * @param {string} profile - The profile URI.
+ *
+ * @returns {Promise<Object>} A promise that resolves to the schema, or rejects with a HalFetchError if it
+ *     could not be fetched.
+ */
+function profileSchema(traversal, profile) {
+  var schema = traversal.opts.schemas.profiles[profile];
+  if (typeof schema !== 'string') return Promise.resolve(schema);
+
+  var schemaUri = resolveReference(profile, schema);
+  var schemas = traversal.client.schemas;
+  if (!schemas[schemaUri]) {
+    var opts = {headers: {'Accept': 'application/schema+json, application/json'}};
+    if (traversal.opts.signal) opts.signal = traversal.opts.signal;
+    schemas[schemaUri] = fetch(schemaUri, opts).then(function (response) {
+      return response.ok ? response.json() : parseResponse(response, schemaUri, []);
+    });
+    schemas[schemaUri].catch(function () {
+      // Fetch the schema again next time
+      delete schemas[schemaUri];
+    });
+  }
+  return schemas[schemaUri];
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ *
+ * Supported are the 'type', 'enum', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+ * 'multipleOf', 'minLength', 'maxLength', 'pattern', 'items', 'minItems', 'maxItems', 'uniqueItems',
+ * 'required', 'properties', 'patternProperties', 'additionalProperties', 'allOf', 'anyOf', 'oneOf' and 'not'
+ * keywords, boolean schemas and '$ref' references within the schema. Other keywords are ignored.
+ *
+ * @param {Object|boolean} schema - The schema.
+ * @param {*} value - The value.
+ * @param {string} pointer - The JSON Pointer of the value.
+ * @param {Object} root - The root schema, to resolve references against.
+ *
+ * @returns {SchemaViolation[]} The problems with the value; empty if it is valid.
+ */
+function schemaViolations(schema, value, pointer, root) {
+  var violations = [];
+  var violation = function (message) {
+    var subject = pointer ? "Property '" + pointer + "'" : 'The state';
+    violations.push({pointer: pointer, message: subject + ' ' + message});
+  };
+
+  if (schema === true) return violations;
+  if (schema === false) {
+    violation('is not allowed');
+    return violations;
+  }
+  if (schema.$ref !== undefined) return schemaViolations(schemaRef(root, schema.$ref), value, pointer, root);
+
+  if (schema.type !== undefined) {
+    var types = [].concat(schema.type);
+    if (!types.some(function (type) {
+      return hasSchemaType(value, type);
+    })) {
+      violation('must be of type ' + types.join(' or '));
+      return violations;
+    }
+  }
+  if (schema.enum && !schema.enum.some(function (option) {
+    return deepEqual(option, value);
+  })) {
+    violation('must be one of ' + JSON.stringify(schema.enum));
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    violation('must be ' + JSON.stringify(schema.const));
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) violation('must be at least ' + schema.minimum);
+    if (schema.maximum !== undefined && value > schema.maximum) violation('must be at most ' + schema.maximum);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      violation('must be more than ' + schema.exclusiveMinimum);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      violation('must be less than ' + schema.exclusiveMaximum);
+    }
+    if (schema.multipleOf !== undefined && !isMultipleOf(value, schema.multipleOf)) {
+      violation('must be a multiple of ' + schema.multipleOf);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      violation('must be at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      violation('must be at most ' + schema.maxLength + ' characters');
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      violation('does not match ' + schema.pattern);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      violation('must have at least ' + schema.minItems + ' items');
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      violation('must have at most ' + schema.maxItems + ' items');
+    }
+    if (schema.uniqueItems && value.some(function (item, i) {
+      return value.slice(0, i).some(function (other) {
+        return deepEqual(other, item);
+      });
+    })) {
+      violation('must have unique items');
+    }
+    if (schema.items !== undefined) {
+      value.forEach(function (item, i) {
+        var itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+        if (itemSchema === undefined) itemSchema = schema.additionalItems;
+        if (itemSchema === undefined) return;
+        violations = violations.concat(schemaViolations(itemSchema, item, pointer + '/' + i, root));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    (schema.required || []).forEach(function (name) {
+      if (!(name in value)) violations.push({
+        pointer: pointer + '/' + escapePointer(name),
+        message: "Property '" + pointer + '/' + escapePointer(name) + "' is required"
+      });
+    });
+    Object.keys(value).forEach(function (name) {
+      var namePointer = pointer + '/' + escapePointer(name);
+      var matched = false;
+      if (schema.properties && name in schema.properties) {
+        matched = true;
+        violations = violations.concat(schemaViolations(schema.properties[name], value[name], namePointer, root));
+      }
+      Object.keys(schema.patternProperties || {}).forEach(function (pattern) {
+        if (!new RegExp(pattern).test(name)) return;
+        matched = true;
+        violations = violations.concat(
+            schemaViolations(schema.patternProperties[pattern], value[name], namePointer, root));
+      });
+      if (!matched && schema.additionalProperties !== undefined) {
+        violations = violations.concat(
+            schemaViolations(schema.additionalProperties, value[name], namePointer, root));
+      }
+    });
+  }
+
+  (schema.allOf || []).forEach(function (subschema) {
+    violations = violations.concat(schemaViolations(subschema, value, pointer, root));
+  });
+  var matches = function (subschema) {
+    return !schemaViolations(subschema, value, pointer, root).length;
+  };
+  if (schema.anyOf && !schema.anyOf.some(matches)) violation('must match a schema in anyOf');
+  if (schema.oneOf && schema.oneOf.filter(matches).length !== 1) violation('must match exactly one schema in oneOf');
+  if (schema.not !== undefined && matches(schema.not)) violation('must not match the schema in not');
+
+  return violations;
+}
+
+/**
+ * Check whether a number is a multiple of another, allowing for the rounding errors of decimal fractions
+ * such as 0.3 / 0.1.
+ *
+ * @param {number} value - The number.
+ * @param {number} divisor - The divisor.
+ *
+ * @returns {boolean} Whether the number is a multiple of the divisor.
+ */
+function isMultipleOf(value, divisor) {
+  var quotient = value / divisor;
+  return Math.abs(quotient - Math.round(quotient)) <= 1e-9 * Math.max(1, Math.abs(quotient));
+}
+
+/**
+ * Check whether a value has a JSON Schema type.
+ *
+ * @param {*} value - The value.
+ * @param {string} type - The type.
+ *
+ * @returns {boolean} Whether the value has the type.
+ */
+function hasSchemaType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'integer': return typeof value === 'number' && value % 1 === 0;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Resolve a reference within a JSON Schema, such as '#/definitions/name'.
+ *
+ * @param {Object} root - The root schema.
+ * @param {string} ref - The reference.
+ *
+ * @returns {Object|boolean} The referenced schema.
+ */
+function schemaRef(root, ref) {
+  if (ref.charAt(0) !== '#') throw new Error('Unsupported schema reference: ' + ref);
+  var tokens = ref.length > 1 ? decodeURIComponent(ref.substring(1)).split('/').slice(1) : [];
+  return tokens.reduce(function (schema, token) {
+    var key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (schema === undefined || !(key in Object(schema))) throw new Error('Unresolvable schema reference: ' + ref);
+    return schema[key];
+  }, root);
+}
+
+
+/**
+ * A format adapter converts the documents of another hypermedia format to HAL resources, so that
+ * embedding and linkHref work the same way for them. The adapter is chosen by the Content-Type of the
+ * response.
+ *
+ * @typedef {Object} Adapter
+ * @property {string[]} types - The media types of the format.
+ * @property {function(*, string): Hal} toHal - Convert a document to a HAL resource, given the URI it was
+ *     received from. Resources without a self link should get one with this URI.
+ */
+
+/**
+ * Adapter for Siren (https://github.com/kevinswiber/siren). Properties become the resource state, links
+ * and embedded links become links, embedded representations become embedded resources and actions become
+ * HAL-FORMS templates, by name.
+ *
+ * @type {Adapter}
+ */
+var sirenAdapter = {
+  types: ['application/vnd.siren+json'],
+  toHal: function (entity, uri) {
+    return sirenToHal(entity, uri);
+  }
+};
+
+/**
+ * Adapter for JSON:API (https://jsonapi.org). The attributes, type and id of the primary data become
+ * the resource state, and the links of the document and primary data become links. The related link of
+ * a relationship becomes a link with the relationship name as relation type; included resources of the
+ * relationship are embedded. A collection becomes a resource with the primary data embedded as 'item',
+ * and the meta information of the document as state.
+ *
+ * @type {Adapter}
+ */
+var jsonApiAdapter = {
+  types: ['application/vnd.api+json'],
+  toHal: function (document, uri) {
+    var included = {};
+    (document.included || []).forEach(function (data) {
+      included[data.type + '/' + data.id] = data;
+    });
+
+    var resource;
+    if (Array.isArray(document.data)) {
+      resource = {};
+      if (document.meta) resource.meta = document.meta;
+      resource._links = jsonApiLinks(document.links);
+      resource._embedded = {
+        item: document.data.map(function (data) {
+          return jsonApiToHal(data, included);
+        })
+      };
+    } else if (document.data) {
+      resource = jsonApiToHal(document.data, included);
+      var links = jsonApiLinks(document.links);
+      Object.keys(links).forEach(function (rel) {
+        if (!(rel in resource._links)) resource._links[rel] = links[rel];
+      });
+    } else {
+      resource = {_links: jsonApiLinks(document.links)};
+      if (document.meta) resource.meta = document.meta;
+    }
+
+    if (!resource._links.self) resource._links.self = {href: uri};
+    return resource;
+  }
+};
+
+/**
+ * Adapter for Collection+JSON (http://amundsen.com/media-types/collection/). Links become links, queries
+ * become templated links with their data as query parameters, and items become resources embedded as
+ * 'item', with their data as state. The write template is ignored, because its body is not plain JSON.
+ *
+ * @type {Adapter}
+ */
+var collectionJsonAdapter = {
+  types: ['application/vnd.collection+json'],
+  toHal: function (document, uri) {
+    var collection = document.collection || {};
+    var resource = {_links: collectionJsonLinks(collection.href || uri, collection.links)};
+    (collection.queries || []).forEach(function (query) {
+      var names = (query.data || []).map(function (data) {
+        return data.name;
+      });
+      appendRel(resource._links, query.rel, definedProperties({
+        href: names.length ? query.href + '{?' + names.join(',') + '}' : query.href,
+        templated: names.length ? true : undefined,
+        name: query.name,
+        title: query.prompt
+      }));
+    });
+
+    if (collection.items) {
+      resource._embedded = {
+        item: collection.items.map(function (item) {
+          var state = {};
+          (item.data || []).forEach(function (data) {
+            state[data.name] = data.value;
+          });
+          state._links = collectionJsonLinks(item.href, item.links);
+          return state;
+        })
+      };
+    }
+    return resource;
+  }
+};
+
+/**
+ * The adapters that are used if no adapter in the options matches.
+ *
+ * @type {Adapter[]}
+ */
+var defaultAdapters = [sirenAdapter, jsonApiAdapter, collectionJsonAdapter];
+
+/**
+ * Find the adapter for the media type of a response.
+ *
+ * @param {Adapter[]} [adapters] - The adapters from the options, which take precedence over the default adapters.
+ * @param {string} [type] - The Content-Type of the response.
+ *
+ * @returns {Adapter|undefined} The adapter, or undefined if the response should be HAL.
+ */
+function findAdapter(adapters, type) {
+  type = mediaType(type);
+  if (!type) return undefined;
+  return (adapters || []).concat(defaultAdapters).filter(function (adapter) {
+    return adapter.types.indexOf(type) !== -1;
+  })[0];
+}
+
+/**
+ * Convert a Siren entity to a HAL resource.
+ *
+ * @param {Object} entity - The Siren entity.
+ * @param {string} [uri] - The URI the entity was received from; absent for embedded entities.
+ *
+ * @returns {Hal} The HAL resource.
+ */
+function sirenToHal(entity, uri) {
+  var resource = {};
+  var properties = entity.properties || {};
+  Object.keys(properties).forEach(function (name) {
+    resource[name] = properties[name];
+  });
+
+  resource._links = {};
+  (entity.links || []).forEach(function (link) {
+    link.rel.forEach(function (rel) {
+      appendRel(resource._links, rel, definedProperties({href: link.href, type: link.type, title: link.title}));
+    });
+  });
+  if (!resource._links.self && uri !== undefined) resource._links.self = {href: uri};
+
+  (entity.entities || []).forEach(function (subEntity) {
+    if ('href' in subEntity) {
+      subEntity.rel.forEach(function (rel) {
+        appendRel(resource._links, rel,
+            definedProperties({href: subEntity.href, type: subEntity.type, title: subEntity.title}));
+      });
+    } else {
+      var embedded = sirenToHal(subEntity);
+      if (!resource._embedded) resource._embedded = {};
+      subEntity.rel.forEach(function (rel) {
+        appendRel(resource._embedded, rel, embedded);
+      });
+    }
+  });
+
+  (entity.actions || []).forEach(function (action) {
+    if (!resource._templates) resource._templates = {};
+    resource._templates[action.name] = definedProperties({
+      title: action.title,
+      method: action.method || 'GET',
+      target: action.href,
+      contentType: action.type || 'application/x-www-form-urlencoded',
+      properties: (action.fields || []).map(function (field) {
+        return definedProperties({name: field.name, type: field.type, value: field.value, prompt: field.title});
+      })
+    });
+  });
+
+  return resource;
+}
+
+/**
+ * Convert a JSON:API resource object to a HAL resource.
+ *
+ * @param {Object} data - The resource object.
+ * @param {Object.<string, Object>} included - The included resource objects by type and id, separated by
+ *     a slash; only embedded in the resource itself, not in the embedded resources.
+ *
+ * @returns {Hal} The HAL resource.
+ */
+function jsonApiToHal(data, included) {
+  var resource = {type: data.type, id: data.id};
+  var attributes = data.attributes || {};
+  Object.keys(attributes).forEach(function (name) {
+    resource[name] = attributes[name];
+  });
+  resource._links = jsonApiLinks(data.links);
+
+  var relationships = data.relationships || {};
+  Object.keys(relationships).forEach(function (name) {
+    var relationship = relationships[name];
+    var related = jsonApiLinks(relationship.links).related;
+    if (related) resource._links[name] = related;
+
+    if (!included || !relationship.data) return;
+    var identifiers = Array.isArray(relationship.data) ? relationship.data : [relationship.data];
+    var embedded = identifiers.filter(function (identifier) {
+      return included[identifier.type + '/' + identifier.id];
+    }).map(function (identifier) {
+      return jsonApiToHal(included[identifier.type + '/' + identifier.id]);
+    });
+    if (embedded.length) {
+      if (!resource._embedded) resource._embedded = {};
+      resource._embedded[name] = Array.isArray(relationship.data) ? embedded : embedded[0];
+    }
+  });
+
+  return resource;
+}
+
+/**
+ * Convert a JSON:API links object to HAL links. Links may be strings or link objects.
+ *
+ * @param {Object} [links] - The links object.
+ *
+ * @returns {Object.<string, Link>} The HAL links.
+ */
+function jsonApiLinks(links) {
+  var result = {};
+  Object.keys(links || {}).forEach(function (rel) {
+    var link = links[rel];
+    if (typeof link === 'string') {
+      result[rel] = {href: link};
+    } else if (link) {
+      result[rel] = definedProperties({href: link.href, type: link.type, title: link.title, hreflang: link.hreflang});
+    }
+  });
+  return result;
+}
+
+/**
+ * Convert Collection+JSON links to HAL links.
+ *
+ * @param {string} [href] - The href of the collection or item, which becomes the self link.
+ * @param {Object[]} [links] - The links.
+ *
+ * @returns {Object.<string, Link|Link[]>} The HAL links.
+ */
+function collectionJsonLinks(href, links) {
+  var result = {};
+  if (href) result.self = {href: href};
+  (links || []).forEach(function (link) {
+    appendRel(result, link.rel, definedProperties({href: link.href, name: link.name, title: link.prompt}));
+  });
+  return result;
+}
+
+/**
+ * Add a link or embedded resource under a relation type, turning it into an array if there already is one.
+ *
+ * @param {Object} container - The links or embedded resources.
+ * @param {string} rel - The relation type.
+ * @param {Object} value - The link or embedded resource.
+ */
+function appendRel(container, rel, value) {
+  if (!(rel in container)) {
+    container[rel] = value;
+  } else {
+    container[rel] = [].concat(container[rel], value);
+  }
+}
+
+/**
+ * Copy an object without its undefined properties.
+ *
+ * @param {Object} object - The object.
+ *
+ * @returns {Object} The copy.
+ */
+function definedProperties(object) {
+  var copy = {};
+  Object.keys(object).forEach(function (key) {
+    if (object[key] !== undefined) copy[key] = object[key];
+  });
+  return copy;
+}
+
+
+/**
+ * Perform an HTTP GET request for a HAL resource and ensure certain linked resources are embedded.
+ *
+ * @param {Object} opts - A fetch options object to be used with any GET request for linked resources. It may
+ *     also contain the options of a Client, such as 'adapters' for formats other than HAL or 'signal',
+ *     'timeout' and 'totalTimeout' to abort requests for linked resources, 'retry' to retry them or
+ *     'interceptors' to change them. Response interceptors also apply to the response itself. The 'trace'
+ *     option records how linked resources were received. The 'client' option is the Client used to get linked
+ *     resources, so that they are cached; a new client is used if it is absent. If the 'normalize' option is
+ *     true, the result is a normalized store instead of the resource, see normalize. The 'schemas' option
+ *     (SchemaOptions) validates the resource and linked resources against the JSON Schemas of their profiles.
+ *     The 'onDeprecation' option is called once for each followed link with a 'deprecation' property.
+ * @param {EmbedRequest|string} [embeds] - Embed request(s) for linked resources, or an embed request expression.
+ *     If absent, 'opts.embeds' is used.
+ *
+ * @returns {Promise<Hal|Store>} A promise that resolves to the resource after all resources are embedded, or
+ *     rejects with a HalFetchError if the response or a (non-optional) request for a linked resource failed,
+ *     a HalAbortError if the requests were aborted, or a HalSchemaError if a resource is not valid.
+ */
+function halJson(opts, embeds) {
+  embeds = toEmbedRequest(embeds || opts.embeds);
+  return function (response) {
+    return parseResponse(response, response.url, [], opts.adapters).then(function (resource) {
+      var request = {uri: response.url, opts: opts, relPath: []};
+      return interceptResponse(opts.interceptors || [], resource, response, request);
+    }).then(function (resource) {
+      return traverse(opts.client || new Client(opts), opts, response.url, function (traversal) {
+        var uri = addToContext(traversal.context, resource, response.url);
+        Object.keys(traversal.context).forEach(function (embeddedUri) {
+          if (traversal.context[embeddedUri] !== resource) traversal.embedded[embeddedUri] = true;
+        });
+        var loaded = {};
+        Object.keys(traversal.context).forEach(function (contextUri) {
+          loaded[contextUri] = traversal.context[contextUri];
+        });
+        loaded[response.url || uri] = resource;
+        storeResponse(traversal.client, loaded, resource, response.url || uri, response);
+        return validateResources(traversal.context, resource, [], undefined, traversal).then(function () {
+          return fetchAndEmbedLinks(resource, response.url || uri, [], embeds, traversal);
+        });
+      });
+    }).then(function (resource) {
+      return opts.normalize ? normalize(resource, response.url) : resource;
+    });
+  }
+}
+
+
+/**
+ * Information about the freshness of a resource in the cache of a client.
+ *
+ * @typedef {Object} CacheInfo
+ * @property {number} expires        - The time (in milliseconds since the epoch) after which the resource is stale.
+ * @property {string} [etag]         - The entity tag of the resource, used to revalidate it.
+ * @property {string} [lastModified] - The last modification date of the resource, used to revalidate it.
+ */
+
+/**
+ * The validators of a resource as received, used to make writes conditional. Unlike the cache information,
+ * they are also kept for resources that must not be stored.
+ *
+ * @typedef {Object} Validators
+ * @property {string} [etag]         - The entity tag of the resource.
+ * @property {string} [lastModified] - The last modification date of the resource.
+ */
+
+
+/**
+ * Start a traversal from a resource, using a new Client, see Navigation. For example:
+ *
+ *     hally.from('https://example.com', opts).follow('users', {id: 5}).follow('car').get()
+ *
+ * @param {string} uri - The absolute URI of the resource to start from.
+ * @param {Object} [opts] - The options of the client.
+ *
+ * @returns {Navigation} The traversal.
+ */
+function from(uri, opts) {
+  return new Client(opts).from(uri);
+}
+
+
+/**
+ * A client for getting HAL resources.
+ *
+ * The client keeps the resources it gets in a context that is shared by all requests. Concurrent
+ * requests for the same resource result in a single HTTP request. Resources are reused as long
+ * as they are fresh according to the 'Cache-Control' or 'Expires' response headers; stale resources
+ * are revalidated using the 'ETag' and 'Last-Modified' response headers. Resources embedded by the
+ * server are as fresh as the resource that embeds them.
+ *
+ * The number of concurrent requests can be limited with the 'maxConcurrency' and 'maxConcurrencyPerHost'
+ * options. Queued requests for resources that are fewer link relations away from the requested resource
+ * are sent first, so that resources are embedded breadth-first.
+ *
+ * @constructor
+ * @param {Object} [opts] - A fetch options object to be used with any GET request. The 'embeds' property
+ *     is the default embed request, the 'maxConcurrency' and 'maxConcurrencyPerHost' properties limit the
+ *     number of concurrent requests, and the 'adapters' property contains additional format adapters. The
+ *     'signal' property aborts all requests, the 'timeout' property limits the time (in milliseconds) of every
+ *     request and the 'totalTimeout' property the time of getting a resource including linked resources. The
+ *     'retry' property (RetryOptions) retries failed requests. The 'interceptors' property contains
+ *     Interceptors that change requests and responses, and the 'trace' property a Trace that records them.
+ *     If the 'normalize' property is true, resources are returned as a normalized store, see normalize. The
+ *     'schemas' property (SchemaOptions) validates resources against the JSON Schemas of their profiles. The
+ *     'onDeprecation' property is called once for each relation type and target URI of a followed link with a
+ *     'deprecation' property.
+ */
+function Client(opts) {
+  this.opts = opts || {};
+  this.queue = new RequestQueue(this.opts.maxConcurrency, this.opts.maxConcurrencyPerHost);
+  /** @type {Object.<string, function(Hal, string)[]>} */
+  this.subscribers = {};
+  /** @type {Object.<string, Promise<Object>>} */
+  this.schemas = {};
+  /** @type {Object.<string, boolean>} */
+  this.deprecations = {};
+  this.clear();
+}
+
+/**
+ * Get a HAL resource and ensure certain linked resources are embedded.
+ *
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {EmbedRequest|string} [embeds] - Embed request(s) for linked resources, or an embed request expression.
+ *     If absent, 'opts.embeds' is used.
+ *
+ * @returns {Promise<Hal|Store>} A promise that resolves to the resource after all resources are embedded.
+ */
+Client.prototype.get = function (uri, embeds) {
+  embeds = toEmbedRequest(embeds || this.opts.embeds);
+  uri = resolveReference(uri, uri);
+  var opts = this.opts;
+  return traverse(this, opts, uri, function (traversal) {
+    return fetchHalJson(uri, [], embeds, traversal);
+  }).then(function (resource) {
+    return opts.normalize ? normalize(resource, uri) : resource;
+  });
+};
+
+/**
+ * Iterate over the items of a paged collection, following the links to the next pages.
+ *
+ * Pages are requested when needed. The items are the resources embedded in the pages under a relation
+ * type; the embed request is applied to each of them.
+ *
+ * @param {string} uri - The absolute URI of the first page.
+ * @param {string} rel - The relation type of the items.
+ * @param {PageOptions} [options] - The options for following pages. The 'embeds' property is the embed
+ *     request for every item, or an embed request expression.
+ *
+ * @returns {{next: function(): Promise<{done: boolean, value: Hal}>}} An asynchronous iterator over the items.
+ */
+Client.prototype.items = function (uri, rel, options) {
+  options = options || {};
+  var nextRel = options.next || 'next';
+  var maxPages = options.maxPages || Infinity;
+  var maxItems = options.maxItems || Infinity;
+
+  var traversal = {client: this, opts: this.opts, context: {}, embedded: {}};
+  var pageEmbeds = {};
+  pageEmbeds[rel] = toEmbedRequest(options.embeds) || {};
+
+  var nextUri = resolveReference(uri, uri);
+  var relPath = [];
+  var visited = {};
+  var pageCount = 0;
+  var itemCount = 0;
+  var buffer = [];
+
+  var step = function () {
+    if (itemCount >= maxItems) {
+      return {done: true, value: undefined};
+    }
+    if (buffer.length) {
+      itemCount += 1;
+      return {done: false, value: buffer.shift()};
+    }
+    if (!nextUri || pageCount >= maxPages || visited[nextUri]) {
+      return {done: true, value: undefined};
+    }
+
+    var pageUri = nextUri;
+    visited[pageUri] = true;
+    pageCount += 1;
+    return fetchHalJson(pageUri, relPath, pageEmbeds, traversal).then(function (page) {
+      buffer = pageItems(page, rel).slice();
+      nextUri = firstHref(linkHref(page, nextRel, undefined, pageUri, deprecationReporter(traversal)));
+      relPath = relPath.concat(nextRel);
+      return step();
+    });
+  };
+
+  // Calls to next are handled one after the other
+  var previous = Promise.resolve();
+  var iterator = {
+    next: function () {
+      var result = previous.then(step);
+      previous = result.catch(function () { /* ignore, the caller handles the error */ });
+      return result;
+    }
+  };
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function () {
+      return iterator;
+    };
+  }
+  return iterator;
+};
+
+/**
+ * Store a modified resource using a conditional request.
+ *
+ * The request contains the 'If-Match' or 'If-Unmodified-Since' header if the client knows the entity tag
+ * or modification date of the resource, so that the request fails with a HalConflictError if someone else
+ * modified the resource in the meantime. On success, the resource in the cache is replaced by the resource
+ * in the response; or, if the response has no body, the resource itself.
+ *
+ * @param {Hal} resource - The modified resource.
+ * @param {Object} [options] - The 'patch' property selects a PATCH request instead of a PUT request, with
+ *     either a JSON Merge Patch ('merge') or a JSON Patch ('json') body.
+ *
+ * @returns {Promise<Hal>} A promise that resolves to the stored resource.
+ */
+Client.prototype.save = function (resource, options) {
+  var client = this;
+  var uri = this.resourceUri(resource);
+
+  var method = 'PUT';
+  var headers = {'Content-Type': 'application/json'};
+  var body;
+  if (!options || !options.patch) {
+    body = stateBody(resource);
+  } else if (options.patch === 'merge') {
+    method = 'PATCH';
+    headers['Content-Type'] = MERGE_PATCH_CONTENT_TYPE;
+    body = mergePatchBody(resource);
+  } else if (options.patch === 'json') {
+    method = 'PATCH';
+    headers['Content-Type'] = JSON_PATCH_CONTENT_TYPE;
+    body = jsonPatchBody(resource);
+  } else {
+    throw new Error('Unknown patch format: ' + options.patch);
+  }
+
+  return this.write(uri, method, headers, body).then(function (response) {
+    return readBody(response).then(function (stored) {
+      if (!stored || !stored._links || !stored._links.self) {
+        // The response does not contain the resource
+        stored = resource;
+        rememberState(stored);
+      }
+
+      var loaded = {};
+      addToContext(loaded, stored, response.url || uri);
+      loaded[uri] = stored;
+      cacheResources(client, loaded, stored, responseCacheInfo(response) || {expires: 0});
+      client.validators[uri] = responseValidators(response);
+      return stored;
+    });
+  });
+};
+
+/**
+ * Delete a resource using a conditional request.
+ *
+ * As with save, the request fails with a HalConflictError if someone else modified the resource. On
+ * success, the resource is removed from the cache.
+ *
+ * @param {Hal} resource - The resource.
+ *
+ * @returns {Promise<Response>} A promise that resolves to the response.
+ */
+Client.prototype.delete = function (resource) {
+  var client = this;
+  var uri = this.resourceUri(resource);
+  return this.write(uri, 'DELETE', {}).then(function (response) {
+    client.invalidate(uri);
+    delete client.validators[uri];
+    return response;
+  });
+};
+
+/**
+ * Submit a payload using a HAL-FORMS template.
+ *
+ * The payload is validated first; if it is not valid, the promise is rejected with a HalFormError and
+ * nothing is sent. A GET form adds the payload to the query of the target. Other forms send it as the
+ * body and remove the target from the cache on success. PUT, PATCH and DELETE forms edit the target, so they
+ * use a conditional request like save.
+ *
+ * @param {HalForm} form - The form, see forms.
+ * @param {Object} payload - The payload.
+ *
+ * @returns {Promise<Response>} A promise that resolves to the response if it is successful, or rejects
+ *     with a HalFormError or HalFetchError otherwise.
+ */
+Client.prototype.submit = function (form, payload) {
+  var client = this;
+  return Promise.resolve().then(function () {
+    var violations = form.validate(payload);
+    if (violations.length) throw new HalFormError(form, violations);
+
+    if (form.method === 'GET') {
+      var query = formUrlEncode(payload);
+      var uri = query ? form.target + (form.target.indexOf('?') === -1 ? '?' : '&') + query : form.target;
+      return fetch(uri, copyOpts(client.opts)).then(function (response) {
+        if (response.ok) return response;
+        return parseResponse(response, uri, []);
+      });
+    }
+
+    var headers = {'Content-Type': form.contentType};
+    return client.write(form.target, form.method, headers, form.body(payload)).then(function (response) {
+      client.invalidate(form.target);
+      return response;
+    });
+  });
+};
+
+/**
+ * The methods of requests that edit the resource itself, which are sent as conditional requests.
+ *
+ * @type {string[]}
+ */
+var CONDITIONAL_METHODS = ['PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Send a request that modifies a resource. PUT, PATCH and DELETE requests are conditional; other methods,
+ * such as POST to a collection, do not replace the resource, so they are sent even if it was modified.
+ *
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {string} method - The request method.
+ * @param {Object.<string, string>} headers - The request headers, in addition to those in the client options.
+ * @param {string} [body] - The request body.
+ *
+ * @returns {Promise<Response>} A promise that resolves to the response if it is successful, or rejects
+ *     with a HalFetchError (HalConflictError if a precondition failed) otherwise.
+ */
+Client.prototype.write = function (uri, method, headers, body) {
+  var info = CONDITIONAL_METHODS.indexOf(method) !== -1 ? this.validators[uri] : undefined;
+  if (info && info.etag) {
+    headers['If-Match'] = info.etag;
+  } else if (info && info.lastModified) {
+    headers['If-Unmodified-Since'] = info.lastModified;
+  }
+
+  var opts = copyOpts(withHeaders(this.opts, headers));
+  opts.method = method;
+  if (body !== undefined) opts.body = body;
+
+  return fetch(uri, opts).then(function (response) {
+    if (response.ok) return response;
+    return parseResponse(response, uri, []);
+  });
+};
+
+/**
+ * Find the URI of a resource in the cache.
+ *
+ * @param {Hal} resource - The resource.
+ *
+ * @returns {string} The absolute URI of the resource, or its self link if it is not in the cache.
+ */
+Client.prototype.resourceUri = function (resource) {
+  var context = this.context;
+  var uris = Object.keys(context).filter(function (uri) {
+    return context[uri] === resource;
+  });
+  return uris.length ? uris[0] : resource._links.self.href;
+};
+
+/**
+ * Subscribe to changes of a resource in the cache.
+ *
+ * The listener is called with the resource and its URI whenever the resource in the cache changes, i.e.
+ * when it is received, fetched again after it changed or stored by save. The new resource also replaces the
+ * old one where it is embedded in other resources in the cache, so that these remain up to date.
+ *
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {function(Hal, string)} listener - The listener.
+ *
+ * @returns {function()} A function that unsubscribes the listener.
+ */
+Client.prototype.subscribe = function (uri, listener) {
+  var client = this;
+  uri = resolveReference(uri, uri);
+  if (!this.subscribers[uri]) this.subscribers[uri] = [];
+  this.subscribers[uri].push(listener);
+  return function () {
+    client.unsubscribe(uri, listener);
+  };
+};
+
+/**
+ * Unsubscribe from changes of a resource in the cache, see Client.prototype.subscribe.
+ *
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {function(Hal, string)} listener - The listener.
+ */
+Client.prototype.unsubscribe = function (uri, listener) {
+  uri = resolveReference(uri, uri);
+  var listeners = (this.subscribers[uri] || []).filter(function (other) {
+    return other !== listener;
+  });
+  if (listeners.length) {
+    this.subscribers[uri] = listeners;
+  } else {
+    delete this.subscribers[uri];
+  }
+};
+
+/**
+ * Remove a resource from the cache, so that it is requested again the next time it is needed.
+ *
+ * @param {string} uri - The absolute URI of the resource.
+ */
+Client.prototype.invalidate = function (uri) {
+  uri = resolveReference(uri, uri);
+  delete this.context[uri];
+  delete this.cacheInfo[uri];
+};
+
+/**
+ * A JSON-safe copy of the resources in a client cache, see Client.prototype.snapshot.
+ *
+ * @typedef {Object} Snapshot
+ * @property {Object.<string, Hal>} resources - The resources as received, by absolute URI. Resources that were
+ *     embedded by the server are part of the resource that embedded them, unless they were replaced since.
+ * @property {Object.<string, {etag: string, lastModified: string}>} validators - The entity tags and
+ *     modification dates of the resources, to revalidate them.
+ */
+
+/**
+ * Take a snapshot of the resources in the cache, for example to send them along with a page that was
+ * rendered on the server. The snapshot can be restored in another client, so that getting the same
+ * resources does not require requests.
+ *
+ * @returns {Snapshot} The snapshot.
+ */
+Client.prototype.snapshot = function () {
+  var context = this.context;
+  var validators = this.validators;
+
+  var embedded = {};
+  Object.keys(context).forEach(function (uri) {
+    addServerEmbedded(embedded, context[uri], uri);
+  });
+
+  var result = {resources: {}, validators: {}};
+  Object.keys(context).forEach(function (uri) {
+    if (embedded[uri] === context[uri]) return;
+    result.resources[uri] = toHal(context[uri]);
+    var validator = validators[uri] || {};
+    if (validator.etag || validator.lastModified) result.validators[uri] = validator;
+  });
+  return result;
+};
+
+/**
+ * Find the resources that the server embedded in a resource, recursively. Unlike addToContext, this does not
+ * change the resources or their received state.
+ *
+ * @param {Object.<string, Hal>} uris - The resources found so far by URI, to add to; null if different
+ *     resources were embedded with the same URI.
+ * @param {Hal} resource - The HAL resource.
+ * @param {string} baseUri - The absolute URI of the resource, used to resolve relative self links.
+ */
+function addServerEmbedded(uris, resource, baseUri) {
+  var embedded = receivedEmbedded(resource) || {};
+  Object.keys(embedded).forEach(function (rel) {
+    [].concat(embedded[rel]).forEach(function (embed) {
+      var self = embed._links && embed._links.self;
+      var uri = self ? resolveReference(baseUri, self.href) : undefined;
+      if (uri !== undefined) uris[uri] = uri in uris && uris[uri] !== embed ? null : embed;
+      addServerEmbedded(uris, embed, uri === undefined ? baseUri : uri);
+    });
+  });
+}
+
+/**
+ * Add the resources in a snapshot to the cache.
+ *
+ * The clocks of the client that took the snapshot and this client may differ, so the snapshot does not
+ * contain the expiration times of the resources. Instead, the restored resources are fresh for a given
+ * time. After that, they are revalidated as usual.
+ *
+ * @param {Snapshot} snapshot - The snapshot, see Client.prototype.snapshot.
+ * @param {number} [maxAge] - The time in milliseconds that the resources are fresh; until they are
+ *     invalidated if absent.
+ */
+Client.prototype.restore = function (snapshot, maxAge) {
+  var client = this;
+  var expires = maxAge === undefined ? Infinity : Date.now() + maxAge;
+  var validators = snapshot.validators || {};
+  var restored = Object.keys(snapshot.resources).map(function (uri) {
+    // Copy the resource, so that the snapshot can be restored again
+    var resource = JSON.parse(JSON.stringify(snapshot.resources[uri]));
+    var loaded = {};
+    addToContext(loaded, resource, uri);
+    loaded[uri] = resource;
+    return {uri: uri, resource: resource, loaded: loaded};
+  });
+
+  // Resources that replaced embedded resources are restored after the resources that embed them
+  var embedCounts = {};
+  restored.forEach(function (entry) {
+    Object.keys(entry.loaded).forEach(function (uri) {
+      if (uri !== entry.uri) embedCounts[uri] = (embedCounts[uri] || 0) + 1;
+    });
+  });
+  restored.sort(function (a, b) {
+    return (embedCounts[a.uri] || 0) - (embedCounts[b.uri] || 0);
+  });
+
+  restored.forEach(function (entry) {
+    var uri = entry.uri;
+    var resource = entry.resource;
+    var loaded = entry.loaded;
+    var validator = validators[uri] || {};
+    cacheResources(client, loaded, resource, definedProperties({
+      expires: expires,
+      etag: validator.etag,
+      lastModified: validator.lastModified
+    }));
+    client.validators[uri] = definedProperties({etag: validator.etag, lastModified: validator.lastModified});
+  });
+};
+
+/**
+ * Remove all resources from the cache.
+ */
+Client.prototype.clear = function () {
+  /** @type {Context} */
+  this.context = {};
+  /** @type {Object.<string, CacheInfo>} */
+  this.cacheInfo = {};
+  /** @type {Object.<string, Validators>} */
+  this.validators = {};
+  /** @type {Object.<string, {promise: Promise, controller: AbortController, waiting: number, unabortable: boolean}>} */
+  this.pending = {};
+};
+
+/**
+ * Get a resource from the cache if it is fresh, or fetch it otherwise.
+ *
+ * @param {string}     uri     - The absolute URI of the resource.
+ * @param {string[]}   relPath - The relation types that were followed from the root resource to get to the resource.
+ * @param {Object}     opts    - A fetch options object.
+ * @param {TraceEntry} [entry] - The trace entry to record how the resource was loaded in.
+ *
+ * @returns {Promise<{resource: Hal, context: Context}>} A promise that resolves to the resource and a context
+ *     with the fresh resources that were loaded; if the resource was fetched this includes embedded resources.
+ */
+Client.prototype.load = function (uri, relPath, opts, entry) {
+  var client = this;
+  if (!entry) entry = {};
+  if (uri in this.pending) {
+    entry.source = 'pending';
+    return joinRequest(this.pending[uri], opts.signal, uri, relPath);
+  }
+
+  var cached = this.context[uri];
+  var info = this.cacheInfo[uri];
+  if (cached && info && info.expires > Date.now()) {
+    entry.source = 'cache';
+    return Promise.resolve(loadedResource(uri, cached));
+  }
+
+  var conditionalHeaders = {};
+  if (cached && info && info.etag) conditionalHeaders['If-None-Match'] = info.etag;
+  if (cached && info && info.lastModified) conditionalHeaders['If-Modified-Since'] = info.lastModified;
+
+  // The request is shared by the traversals that wait for it, so it has its own signal
+  var shared = {waiting: 0, unabortable: false};
+  var signal = opts.signal;
+  if (signal) {
+    shared.controller = createAbortController();
+    opts = copyOpts(opts);
+    opts.signal = shared.controller.signal;
+  }
+
+  var interceptors = opts.interceptors || [];
+  var retryAfter;
+  entry.source = 'fetch';
+  entry.attempts = 0;
+  var attempt = function () {
+    retryAfter = undefined;
+    entry.attempts += 1;
+    if (entry.fetchStart === undefined) entry.fetchStart = Date.now();
+    var requestOpts = withHeaders(opts, conditionalHeaders);
+    var timer;
+    var linked;
+    if (opts.timeout) {
+      linked = linkedAbortController(opts.signal);
+      timer = setTimeout(function () {
+        linked.controller.abort(new HalTimeoutError(uri, relPath, opts.timeout));
+      }, opts.timeout);
+      requestOpts = copyOpts(requestOpts);
+      requestOpts.signal = linked.controller.signal;
+    }
+    var done = function () {
+      clearTimeout(timer);
+      if (linked) linked.unlink();
+    };
+    var signal = requestOpts.signal;
+    if (signal && signal.aborted) {
+      // Aborted while queued
+      done();
+      return Promise.reject(abortError(signal, uri, relPath));
+    }
+
+    var intercepted = {uri: uri, opts: requestOpts, rel: relPath[relPath.length - 1], relPath: relPath};
+    var request = interceptRequest(interceptors, intercepted).then(function (intercepted) {
+      return fetch(intercepted.uri, intercepted.opts).then(function (response) {
+        return {request: intercepted, response: response};
+      }, function (error) {
+        if (error instanceof Error) networkErrors.set(error, true);
+        throw error;
+      });
+    }).then(function (exchange) {
+      var response = exchange.response;
+      entry.status = response.status;
+      retryAfter = response.headers.get('Retry-After');
+      if (response.status === 304 && cached) {
+        client.cacheInfo[uri] = responseCacheInfo(response, info);
+        client.validators[uri] = responseValidators(response, client.validators[uri]);
+        return loadedResource(uri, cached);
+      }
+
+      return parseResponse(response, uri, relPath, opts.adapters).then(function (resource) {
+        return interceptResponse(interceptors, resource, response, exchange.request);
+      }).then(function (resource) {
+        // A URI changed by an interceptor is not the URI the resource is known by
+        var baseUri = exchange.request.uri === uri ? response.url || uri : uri;
+        var loaded = {};
+        addToContext(loaded, resource, baseUri);
+        loaded[uri] = resource;
+
+        storeResponse(client, loaded, resource, uri, response);
+        return {resource: resource, context: loaded};
+      });
+    });
+
+    if (signal) request = abortable(request, signal, uri, relPath);
+    if (linked) request.then(done, done);
+    return request;
+  };
+
+  // Every attempt is queued, so that waiting before a retry does not keep others from being sent
+  shared.promise = retryRequest(function () {
+    return client.queue.schedule(uri, relPath.length, attempt);
+  }, opts, uri, relPath, function () {
+    return retryAfter;
+  });
+
+  this.pending[uri] = shared;
+  var done = function () {
+    delete client.pending[uri];
+  };
+  shared.promise.then(done, done);
+
+  return joinRequest(shared, signal, uri, relPath);
+};
+
+/**
+ * Wait for a request that may be shared by several traversals. The request is aborted only when the signals
+ * of all waiting traversals are aborted; a traversal without a signal keeps it from being aborted.
+ *
+ * @param {{promise: Promise, controller: AbortController, waiting: number, unabortable: boolean}} shared - The
+ *     shared request.
+ * @param {AbortSignal} [signal] - The signal of the waiting traversal.
+ * @param {string} uri - The URI of the requested resource.
+ * @param {string[]} relPath - The relation types that were followed from the root resource.
+ *
+ * @returns {Promise} A promise that settles as the request, or rejects with a HalAbortError if the signal is
+ *     aborted first.
+ */
+function joinRequest(shared, signal, uri, relPath) {
+  if (!signal) {
+    shared.unabortable = true;
+    return shared.promise;
+  }
+
+  if (shared.controller) {
+    shared.waiting += 1;
+    var onAbort = function () {
+      shared.waiting -= 1;
+      if (!shared.waiting && !shared.unabortable) shared.controller.abort(signal.reason);
+    };
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort);
+      var unlink = function () {
+        signal.removeEventListener('abort', onAbort);
+      };
+      shared.promise.then(unlink, unlink);
+    }
+  }
+  return abortable(shared.promise, signal, uri, relPath);
+}
+
+/**
+ * Start a traversal from a resource, see Navigation.
+ *
+ * @param {string} uri - The absolute URI of the resource to start from.
+ *
+ * @returns {Navigation} The traversal.
+ */
+Client.prototype.from = function (uri) {
+  return new Navigation(this, resolveReference(uri, uri), []);
+};
+
+/**
+ * A step of a traversal: the link to follow from the current resource.
+ *
+ * @typedef {Object} NavigationStep
+ * @property {string} rel - The link relation type.
+ * @property {Object.<string, Object>} [params] - The parameters to expand a templated href with.
+ * @property {string|LinkSelector} [selector] - The criteria for selecting the link, as in linkHref.
+ */
+
+/**
+ * A traversal that follows links from a resource to get another resource.
+ *
+ * Links are found as linkHref finds them, so a relation type may also match a resource embedded by the
+ * server; if there are multiple matching links, the first is followed. All steps of a traversal share a
+ * context, so resources that were embedded by the server are not requested again.
+ *
+ * Traversals are immutable; follow returns a new traversal that can be reused.
+ *
+ * @constructor
+ * @param {Client}           client - The client that gets the resources.
+ * @param {string}           uri    - The absolute URI of the resource to start from.
+ * @param {NavigationStep[]} steps  - The links to follow.
+ */
+function Navigation(client, uri, steps) {
+  this.client = client;
+  this.uri = uri;
+  this.steps = steps;
+}
+
+/**
+ * Add a link to follow.
+ *
+ * @param {string} rel - The link relation type.
+ * @param {Object.<string, Object>} [params] - The parameters to expand a templated href with.
+ * @param {string|LinkSelector} [selector] - The criteria for selecting the link, as in linkHref.
+ *
+ * @returns {Navigation} A new traversal that also follows the link.
+ */
+Navigation.prototype.follow = function (rel, params, selector) {
+  return new Navigation(this.client, this.uri, this.steps.concat({rel: rel, params: params, selector: selector}));
+};
+
+/**
+ * Follow the links and get the resource at the end of the traversal.
+ *
+ * @param {EmbedRequest|string} [embeds] - Embed request(s) for resources linked from the resource at the end
+ *     of the traversal, or an embed request expression. If absent, the 'embeds' client option is used.
+ *
+ * @returns {Promise<Hal|Store>} A promise that resolves to the resource after all resources are embedded, or
+ *     rejects with a HalFetchError if a request failed, or an Error if a link was not found.
+ */
+Navigation.prototype.get = function (embeds) {
+  embeds = toEmbedRequest(embeds || this.client.opts.embeds);
+  var steps = this.steps;
+  var relPath = steps.map(function (step) {
+    return step.rel;
+  });
+
+  var opts = this.client.opts;
+  var next = function (index, uri, traversal) {
+    var last = index === steps.length;
+    var stepRelPath = relPath.slice(0, index);
+    return fetchHalJson(uri, stepRelPath, last ? embeds : null, traversal).then(function (resource) {
+      if (last) return opts.normalize ? normalize(resource, uri) : resource;
+
+      var step = steps[index];
+      var selector = {};
+      if (typeof step.selector === 'string') {
+        selector.baseUri = step.selector;
+      } else {
+        Object.keys(step.selector || {}).forEach(function (name) {
+          selector[name] = step.selector[name];
+        });
+      }
+      if (!selector.baseUri) selector.baseUri = uri;
+
+      var href = linkHref(resource, step.rel, step.params || {}, selector, deprecationReporter(traversal));
+      if (Array.isArray(href)) href = href[0];
+      if (!href) {
+        throw new Error("No link '" + step.rel + "' found in " + uri + (index ? ' (following ' +
+            stepRelPath.join(' > ') + ')' : ''));
+      }
+      return next(index + 1, href, traversal);
+    });
+  };
+
+  var uri = this.uri;
+  return traverse(this.client, opts, uri, function (traversal) {
+    return next(0, uri, traversal);
+  });
+};
+
+/**
+ * A queue of requests that limits the number of concurrent requests, both in total and per host.
+ *
+ * Queued requests are started in order of priority, and in order of scheduling for requests with the
+ * same priority.
+ *
+ * @constructor
+ * @param {number} [maxConcurrency] - The maximum number of concurrent requests; unlimited if absent.
+ * @param {number} [maxConcurrencyPerHost] - The maximum number of concurrent requests per host; unlimited if absent.
+ */
+function RequestQueue(maxConcurrency, maxConcurrencyPerHost) {
+  this.maxConcurrency = maxConcurrency || Infinity;
+  this.maxConcurrencyPerHost = maxConcurrencyPerHost || Infinity;
+  this.active = 0;
+  this.activePerHost = {};
+  this.queued = [];
+}
+
+/**
+ * Schedule a request.
+ *
+ * @param {string} uri - The absolute URI of the request, used to determine the host.
+ * @param {number} priority - The priority; lower numbers are started first.
+ * @param {function(): Promise} request - A function that starts the request and returns a promise that
+ *     settles when the request is completed.
+ *
+ * @returns {Promise} A promise that settles like the request promise.
+ */
+RequestQueue.prototype.schedule = function (uri, priority, request) {
+  var queue = this;
+  return new Promise(function (resolve, reject) {
+    queue.queued.push({
+      host: (parseUri(uri).authority || '').toLowerCase(),
+      priority: priority,
+      request: request,
+      resolve: resolve,
+      reject: reject
+    });
+    queue.next();
+  });
+};
+
+/**
+ * Start queued requests while there is capacity.
+ */
+RequestQueue.prototype.next = function () {
+  while (this.active < this.maxConcurrency) {
+    var index = -1;
+    for (var i = 0; i < this.queued.length; i++) {
+      var candidate = this.queued[i];
+      if ((this.activePerHost[candidate.host] || 0) < this.maxConcurrencyPerHost &&
+          (index === -1 || candidate.priority < this.queued[index].priority)) {
+        index = i;
+      }
+    }
+    if (index === -1) return;
+
+    var item = this.queued.splice(index, 1)[0];
+    this.active += 1;
+    this.activePerHost[item.host] = (this.activePerHost[item.host] || 0) + 1;
+    this.start(item);
+  }
+};
+
+/**
+ * Start a request and start the next one when it is completed.
+ *
+ * @param {Object} item - The queued request.
+ */
+RequestQueue.prototype.start = function (item) {
+  var queue = this;
+  var done = function () {
+    queue.active -= 1;
+    queue.activePerHost[item.host] -= 1;
+    queue.next();
+  };
+  var promise = Promise.resolve().then(item.request);
+  promise.then(done, done);
+  promise.then(item.resolve, item.reject);
+};
+
+
+/**
+ * Store received resources in the cache of a client. Resources that replace other resources are also
+ * replaced where they are embedded in resources in the cache. The subscribers of the resource and of the
+ * replaced resources are notified.
+ *
+ * @param {Client} client - The client.
+ * @param {Context} loaded - The received resources, including embedded resources, by URI.
+ * @param {Hal} resource - The resource that embeds the others.
+ * @param {CacheInfo} freshness - The freshness of the resource; embedded resources expire at the same time.
+ */
+function cacheResources(client, loaded, resource, freshness) {
+  var replaced = [];
+  Object.keys(loaded).forEach(function (uri) {
+    var previous = client.context[uri];
+    client.context[uri] = loaded[uri];
+    client.cacheInfo[uri] = loaded[uri] === resource ? freshness : {expires: freshness.expires};
+    if (previous !== loaded[uri] || loaded[uri] === resource) replaced.push({uri: uri, previous: previous});
+  });
+
+  replaced.forEach(function (replacement) {
+    var current = loaded[replacement.uri];
+    if (replacement.previous && replacement.previous !== current) {
+      replaceEmbedded(client.context, replacement.previous, current);
+    }
+  });
+  replaced.forEach(function (replacement) {
+    (client.subscribers[replacement.uri] || []).slice().forEach(function (listener) {
+      listener(loaded[replacement.uri], replacement.uri);
+    });
+  });
+}
+
+/**
+ * Replace a resource where it is embedded in the resources of a context. Arrays of embedded resources are
+ * replaced by new arrays, so that the resources embedded by the server are kept as they were received.
+ *
+ * @param {Context} context - The context.
+ * @param {Hal} previous - The resource to replace.
+ * @param {Hal} resource - The resource to replace it with.
+ */
+function replaceEmbedded(context, previous, resource) {
+  Object.keys(context).forEach(function (uri) {
+    var parent = context[uri];
+    Object.keys(parent._embedded || {}).forEach(function (rel) {
+      var embedded = parent._embedded[rel];
+      if (embedded === previous) {
+        parent._embedded[rel] = resource;
+      } else if (Array.isArray(embedded) && embedded.indexOf(previous) >= 0) {
+        parent._embedded[rel] = embedded.map(function (other) {
+          return other === previous ? resource : other;
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Create the result of loading a single resource.
+ *
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {Hal} resource - The resource.
+ *
+ * @returns {{resource: Hal, context: Context}} The resource and a context containing only the resource.
+ */
+function loadedResource(uri, resource) {
+  var context = {};
+  context[uri] = resource;
+  return {resource: resource, context: context};
+}
+
+/**
+ * Determine the freshness of a resource from the response headers.
+ *
+ * @param {Response} response - The fetch response.
+ * @param {CacheInfo} [previous] - The cache information of the resource before the response; used for
+ *     headers that are absent from a 304 Not Modified response.
+ *
+ * @returns {CacheInfo|null} The cache information, or null if the response must not be stored.
+ */
+function responseCacheInfo(response, previous) {
+  var now = Date.now();
+  var cacheControl = parseCacheControl(response.headers.get('Cache-Control'));
+  if ('no-store' in cacheControl) return null;
+
+  var expires = now;
+  if ('no-cache' in cacheControl) {
+    // Always revalidate
+  } else if ('max-age' in cacheControl) {
+    var age = parseInt(response.headers.get('Age'), 10) || 0;
+    expires = now + (parseInt(cacheControl['max-age'], 10) - age) * 1000;
+  } else if (response.headers.has('Expires')) {
+    var date = Date.parse(response.headers.get('Date'));
+    expires = now + (Date.parse(response.headers.get('Expires')) - (isNaN(date) ? now : date));
+    if (isNaN(expires)) expires = now;
+  }
+
+  var validators = responseValidators(response, previous);
+  return definedProperties({expires: expires, etag: validators.etag, lastModified: validators.lastModified});
+}
+
+/**
+ * Determine the validators of a resource from the response headers, whether or not it may be stored.
+ *
+ * @param {Response} response - The fetch response.
+ * @param {Validators} [previous] - The validators of the resource before the response; used for headers that
+ *     are absent from a 304 Not Modified response.
+ *
+ * @returns {Validators} The validators.
+ */
+function responseValidators(response, previous) {
+  previous = previous || {};
+  return definedProperties({
+    etag: response.headers.get('ETag') || previous.etag,
+    lastModified: response.headers.get('Last-Modified') || previous.lastModified
+  });
+}
+
+/**
+ * Store a received resource in the cache of a client if the response allows it, and remember its
+ * validators in any case.
+ *
+ * @param {Client} client - The client.
+ * @param {Context} loaded - The received resources, including embedded resources, by URI.
+ * @param {Hal} resource - The resource that embeds the others.
+ * @param {string} uri - The absolute URI of the resource.
+ * @param {Response} response - The fetch response.
+ */
+function storeResponse(client, loaded, resource, uri, response) {
+  var freshness = responseCacheInfo(response);
+  if (freshness) cacheResources(client, loaded, resource, freshness);
+  client.validators[uri] = responseValidators(response);
+}
+
+/**
+ * Parse a Cache-Control header into its directives.
+ *
+ * @param {string|null} header - The header value.
+ *
+ * @returns {Object.<string, string|boolean>} The directive values, or true for directives without a value.
+ */
+function parseCacheControl(header) {
+  var directives = {};
+  (header || '').split(',').forEach(function (directive) {
+    var match = /^\s*([^\s=]+)\s*(?:=\s*"?([^"]*)"?)?\s*$/.exec(directive);
+    if (match) {
+      directives[match[1].toLowerCase()] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return directives;
+}
+
+/**
+ * Read the body of a response as JSON, if it has one.
+ *
+ * @param {Response} response - The fetch response.
+ *
+ * @returns {Promise<Object|null>} A promise that resolves to the parsed body, or null if the body is empty.
+ */
+function readBody(response) {
+  return response.text().then(function (text) {
+    return text ? JSON.parse(text) : null;
+  });
+}
+
+/**
+ * Create a shallow copy of fetch options.
+ *
+ * @param {Object} opts - A fetch options object.
+ *
+ * @returns {Object} The copy.
+ */
+function copyOpts(opts) {
+  var copy = {};
+  Object.keys(opts).forEach(function (key) {
+    copy[key] = opts[key];
+  });
+  return copy;
+}
+
+/**
+ * Create a copy of fetch options with extra request headers.
+ *
+ * @param {Object} opts - A fetch options object. Its headers may be an object, an array of pairs or a Headers object.
+ * @param {Object.<string, string>} headers - The extra headers.
+ *
+ * @returns {Object} The fetch options object; the original object if there are no extra headers.
+ */
+function withHeaders(opts, headers) {
+  if (!Object.keys(headers).length) return opts;
+
+  var merged = {};
+  if (!opts.headers) {
+    // No headers to copy
+  } else if (Array.isArray(opts.headers)) {
+    opts.headers.forEach(function (header) {
+      merged[header[0]] = header[1];
+    });
+  } else if (typeof opts.headers.forEach === 'function') {
+    opts.headers.forEach(function (value, name) {
+      merged[name] = value;
+    });
+  } else {
+    Object.keys(opts.headers).forEach(function (name) {
+      merged[name] = opts.headers[name];
+    });
+  }
+  Object.keys(headers).forEach(function (name) {
+    merged[name] = headers[name];
+  });
+
+  var copy = copyOpts(opts);
+  copy.headers = merged;
+  return copy;
+}
+
 
 module.exports = {
+  Client: Client,
+  EmbedParseError: EmbedParseError,
+  HalAbortError: HalAbortError,
+  HalConflictError: HalConflictError,
+  HalFetchError: HalFetchError,
+  HalForm: HalForm,
+  HalFormError: HalFormError,
+  HalSchemaError: HalSchemaError,
+  JSON_PATCH_CONTENT_TYPE: JSON_PATCH_CONTENT_TYPE,
+  MERGE_PATCH_CONTENT_TYPE: MERGE_PATCH_CONTENT_TYPE,
+  HalTimeoutError: HalTimeoutError,
+  Navigation: Navigation,
+  Trace: Trace,
+  collectionJsonAdapter: collectionJsonAdapter,
+  denormalize: denormalize,
+  formatEmbeds: formatEmbeds,
+  forms: forms,
+  from: from,
+  halBody: halBody,
   halJson: halJson,
+  jsonApiAdapter: jsonApiAdapter,
+  jsonPatch: jsonPatch,
+  jsonPatchBody: jsonPatchBody,
   linkHref: linkHref,
+  mergePatch: mergePatch,
+  mergePatchBody: mergePatchBody,
+  normalize: normalize,
+  parseEmbeds: parseEmbeds,
+  sirenAdapter: sirenAdapter,
   stateBody: stateBody,
+  toHal: toHal,
   toState: toState
 }
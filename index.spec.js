@@ -16,6 +16,49 @@ afterEach(function () {
   fetchMock.restore();
 })
 
+// The test environment has no AbortController
+function abortController() {
+  var listeners = [];
+  var signal = {
+    aborted: false,
+    addEventListener: function (type, listener) {
+      listeners.push(listener);
+    },
+    removeEventListener: function (type, listener) {
+      listeners = listeners.filter(function (other) {
+        return other !== listener;
+      });
+    }
+  };
+  return {
+    signal: signal,
+    listenerCount: function () {
+      return listeners.length;
+    },
+    abort: function () {
+      signal.aborted = true;
+      listeners.forEach(function (listener) {
+        listener();
+      });
+    }
+  };
+}
+
+// Resolves to the error a promise rejects with, or rejects if it resolves
+function expectRejection(promise) {
+  return promise.then(function () {
+    throw new Error('Expected rejection');
+  }, function (error) {
+    return error;
+  });
+}
+
+// Resolves to a resource as received by halJson
+function receivedResource(resource) {
+  fetchMock.get('*', resource);
+  return fetch('http://example.com', {}).then(hally.halJson({}));
+}
+
 
 describe('halJson', function() {
   var halJson = hally.halJson;
@@ -89,6 +132,12 @@ describe('halJson', function() {
       });
     });
 
+    it('when the embed request is an expression', function () {
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function (res) {
+        expect(res._embedded.other.property).toEqual('value');
+      });
+    });
+
     it('when the embed value is null', function () {
       var embeds = {other: null}
       return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
@@ -149,6 +198,21 @@ describe('halJson', function() {
     });
   });
 
+  it('skips embedded resources without a self link', function () {
+    var item = {_links: {}, name: 'item'};
+    fetchMock.get('http://example.com', {
+      _links: {self: {href: 'http://example.com'}},
+      _embedded: {item: [item, {_links: {self: {href: 'http://example.com/item'}}}], other: {_links: {}}}
+    });
+
+    var embeds = {item: {}, other: {$name: 'x'}};
+    return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+      expect(res._embedded.item.length).toEqual(1);
+      expect(res._embedded.item[0]).toHaveProperty('_links.self.href', 'http://example.com/item');
+      expect(res._embedded.other).toEqual({_links: {}, _embedded: {}});
+    });
+  });
+
   it('embeds multiple linked resources', function () {
     var resources = {
       'http://example.com': {
@@ -471,113 +535,3653 @@ describe('halJson', function() {
       expect(rel2[0]).toHaveProperty('_embedded.rel3._links.self.href', 'http://example.com/other');
     });
   });
-});
 
+  it('resolves relative hrefs against the resource URI', function () {
+    var resources = {
+      'http://example.com/users/1': {
+        _links: {
+          self: {href: '/users/1'},
+          car: {href: '../cars/7'},
+          friends: [{href: '2'}, {href: 'http://example.com/users/3'}]
+        }
+      },
+      'http://example.com/cars/7': {
+        _links: {
+          self: {href: '/cars/7'}
+        }
+      },
+      'http://example.com/users/2': {
+        _links: {
+          self: {href: '/users/2'},
+          car: {href: '/cars/7'}
+        }
+      },
+      'http://example.com/users/3': {
+        _links: {
+          self: {href: 'http://EXAMPLE.com/users/3'},
+          car: {href: '../cars/./7'}
+        }
+      }
+    };
 
-describe('linkHref', function() {
-  var linkHref = hally.linkHref;
-
-  var resource = {
-    _links: {
-      self: {href: 'http://example.com'},
-      rel1: {href: 'http://example.com/linked1'},
-      rel2: [{href: 'http://example.com/linked2a'}, {href: 'http://example.com/linked2b'}],
-      tpl1: {href: 'http://example.com/templated1/{foo}'},
-      tpl2: [{href: 'http://example.com/templated2a/{foo}'}, {href: 'http://example.com/templated2b/{foo}'}],
-      both: {href: 'http://example.com/both/linked'}
-    },
-    _embedded: {
-      emb1: {_links: {self: {href: 'http://example.com/embedded1'}}, _embedded: {}},
-      emb2: [{_links: {self: {href: 'http://example.com/embedded2a'}}, _embedded: {}},
-        {_links: {self: {href: 'http://example.com/embedded2b'}}, _embedded: {}}],
-      both: {_links: {self: {href: 'http://example.com/both/embedded'}}, _embedded: {}}
-    }
-  };
+    var seenUrls = new Set();
+    fetchMock.get('*', function (url, opts) {
+      expect(seenUrls.has(url)).toBe(false);
+      seenUrls.add(url);
+      return resources[url];
+    });
 
-  it('returns the href of a link', function() {
-    expect(linkHref(resource, 'rel1')).toEqual('http://example.com/linked1');
+    var embeds = {car: {}, friends: {car: {}}};
+    return fetch('http://example.com/users/1', opts).then(halJson(opts, embeds)).then(function (res) {
+      expect(res).toHaveProperty('_embedded.car._links.self.href', '/cars/7');
+      expect(res).toHaveProperty('_embedded.friends.0._links.self.href', '/users/2');
+      expect(res).toHaveProperty('_embedded.friends.1._links.self.href', 'http://EXAMPLE.com/users/3');
+      expect(res._embedded.friends[0]._embedded.car).toBe(res._embedded.car);
+      expect(res._embedded.friends[1]._embedded.car).toBe(res._embedded.car);
+    });
   });
 
-  it('returns the href of a link array', function() {
-    expect(linkHref(resource, 'rel2')).toEqual(['http://example.com/linked2a', 'http://example.com/linked2b']);
-  });
+  it('resolves relative hrefs of embedded resources', function () {
+    var resources = {
+      'http://example.com/users/1': {
+        _links: {
+          self: {href: '/users/1'}
+        },
+        _embedded: {
+          car: {
+            _links: {
+              self: {href: '/cars/7'},
+              owner: {href: '/users/1'},
+              brand: {href: 'brands/ford'}
+            }
+          }
+        }
+      },
+      'http://example.com/cars/brands/ford': {
+        _links: {
+          self: {href: 'http://example.com/cars/brands/ford'}
+        }
+      }
+    };
 
-  it('returns the href of a templated link', function() {
-    expect(linkHref(resource, 'tpl1', {foo: 'bar'})).toEqual('http://example.com/templated1/bar');
-  });
+    fetchMock.get('*', function (url, opts) {
+      return resources[url];
+    });
 
-  it('returns the href of a templated link array', function() {
-    expect(linkHref(resource, 'tpl2', {foo: 'bar'}))
-        .toEqual(['http://example.com/templated2a/bar', 'http://example.com/templated2b/bar']);
+    var embeds = {car: {owner: {}, brand: {}}};
+    return fetch('http://example.com/users/1', opts).then(halJson(opts, embeds)).then(function (res) {
+      var car = res._embedded.car;
+      expect(car._embedded.owner).toBe(res);
+      expect(car).toHaveProperty('_embedded.brand._links.self.href', 'http://example.com/cars/brands/ford');
+    });
   });
 
-  it('returns the href of an embedded resource', function() {
-    expect(linkHref(resource, 'emb1')).toEqual('http://example.com/embedded1');
-  });
+  describe('embeds linked resources with CURIE relation types', function () {
+    var resources = {
+      'http://example.com': {
+        _links: {
+          self: {href: 'http://example.com'},
+          curies: [{name: 'acme', href: 'http://example.com/rels/{rel}', templated: true}],
+          'acme:owner': {href: 'http://example.com/owner'}
+        }
+      },
+      'http://example.com/owner': {
+        _links: {
+          self: {href: 'http://example.com/owner'},
+          curies: [{name: 'ex', href: 'http://example.com/rels/{rel}', templated: true}],
+          'ex:car': {href: 'http://example.com/car'}
+        }
+      },
+      'http://example.com/car': {
+        _links: {
+          self: {href: 'http://example.com/car'}
+        }
+      }
+    };
 
-  it('returns the href of an embedded resource array', function() {
-    expect(linkHref(resource, 'emb2'))
-        .toEqual(['http://example.com/embedded2a', 'http://example.com/embedded2b']);
-  });
+    beforeEach(function () {
+      fetchMock.get('*', function (url, opts) {
+        return resources[url];
+      });
+    });
 
-  it('returns the href of a linked resource even when an embedded resource exists', function() {
-    expect(linkHref(resource, 'both')).toEqual('http://example.com/both/linked');
-  });
+    it('when the embed request uses the same CURIE', function () {
+      var embeds = {'acme:owner': {}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded['acme:owner']).toHaveProperty('_links.self.href', 'http://example.com/owner');
+      });
+    });
 
-  it('returns null if a link does not exist', function() {
-    expect(linkHref(resource, 'nonexistent')).toBeNull();
+    it('when the embed request uses the URI or another prefix', function () {
+      var embeds = {'http://example.com/rels/owner': {'http://example.com/rels/car': {}}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        var owner = res._embedded['acme:owner'];
+        expect(owner).toHaveProperty('_links.self.href', 'http://example.com/owner');
+        expect(owner._embedded['ex:car']).toHaveProperty('_links.self.href', 'http://example.com/car');
+      });
+    });
   });
 
-});
+  describe('embeds linked resources with a wildcard', function () {
+    var resources = {
+      'http://example.com': {
+        _links: {
+          self: {href: 'http://example.com'},
+          curies: [{name: 'acme', href: 'http://example.com/rels/{rel}', templated: true}],
+          'acme:owner': {href: 'http://example.com/owner'},
+          car: {href: 'http://example.com/car'},
+          avatar: {href: 'http://example.com/avatar.png', type: 'image/png'}
+        }
+      },
+      'http://example.com/owner': {
+        _links: {
+          self: {href: 'http://example.com/owner'},
+          up: {href: 'http://example.com'},
+          car: {href: 'http://example.com/car'}
+        }
+      },
+      'http://example.com/car': {
+        _links: {
+          self: {href: 'http://example.com/car'},
+          maker: {href: 'http://example.com/maker'}
+        }
+      },
+      'http://example.com/maker': {
+        _links: {
+          self: {href: 'http://example.com/maker'}
+        }
+      }
+    };
 
+    beforeEach(function () {
+      fetchMock.get('*', function (url, opts) {
+        return resources[url];
+      });
+    });
 
-describe('stateBody', function() {
-  var stateBody = hally.stateBody;
+    it('one level deep', function () {
+      return fetch('http://example.com', opts).then(halJson(opts, {'*': null})).then(function (res) {
+        expect(Object.keys(res._embedded).sort()).toEqual(['acme:owner', 'car']);
+        expect(res._embedded['acme:owner']._embedded).toEqual({});
+        expect(res._embedded.car._embedded).toEqual({});
+        expect(fetchMock.calls('*').length).toBe(3);
+      });
+    });
 
-  it('removes the _links and _embedded properties and stringifies', function() {
-    var resource = {
-      property: 'value',
-      _links: {
-        self: {href: 'http://example.com'}
+    it('up to a maximum depth, requesting every resource once', function () {
+      var embeds = {'*': null, $depth: 2};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        var owner = res._embedded['acme:owner'];
+        expect(owner._embedded.up).toBe(res);
+        expect(owner._embedded.car).toBe(res._embedded.car);
+        expect(res._embedded.car._embedded.maker).toHaveProperty('_links.self.href', 'http://example.com/maker');
+        expect(res._embedded.car._embedded.maker._embedded).toEqual({});
+        expect(fetchMock.calls('*').length).toBe(4);
+      });
+    });
+
+    it('except excluded relation types', function () {
+      var embeds = {'*': null, $depth: 2, $exclude: ['http://example.com/rels/owner']};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(Object.keys(res._embedded)).toEqual(['car']);
+        expect(res._embedded.car._embedded.maker).toHaveProperty('_links.self.href', 'http://example.com/maker');
+      });
+    });
+
+    it('next to relation types with their own embed request', function () {
+      var embeds = {'acme:owner': {up: null}, '*': {maker: null}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(Object.keys(res._embedded['acme:owner']._embedded)).toEqual(['up']);
+        expect(res._embedded.car._embedded.maker).toHaveProperty('_links.self.href', 'http://example.com/maker');
+      });
+    });
+
+    it('when the embed request is an expression', function () {
+      return fetch('http://example.com', opts).then(halJson(opts, 'car(*)')).then(function (res) {
+        expect(res._embedded.car._embedded.maker).toHaveProperty('_links.self.href', 'http://example.com/maker');
+      });
+    });
+  });
+
+  describe('selects linked resources', function () {
+    var resources = {
+      'http://example.com': {
+        _links: {
+          self: {href: 'http://example.com'},
+          alternate: [
+            {href: 'http://example.com/en', name: 'primary', hreflang: 'en-US', type: 'application/hal+json'},
+            {href: 'http://example.com/nl', hreflang: 'nl', type: 'application/json; charset=utf-8'},
+            {href: 'http://example.com/pdf', type: 'application/pdf'}
+          ],
+          icon: {href: 'http://example.com/icon.png', type: 'image/png'}
+        }
       },
-      _embedded: {
-        other: {
-          _links: {
-            self: {href: 'http://example.com/other'}
-          },
-          _embedded: {}
+      'http://example.com/en': {
+        _links: {
+          self: {href: 'http://example.com/en'}
+        }
+      },
+      'http://example.com/nl': {
+        _links: {
+          self: {href: 'http://example.com/nl'}
         }
       }
     };
 
-    var body = stateBody(resource);
-    expect(body).toEqual('{"property":"value"}');
-  });
+    beforeEach(function () {
+      fetchMock.get('*', function (url, opts) {
+        return resources[url];
+      });
+    });
 
-});
+    it('by name', function () {
+      var embeds = {alternate: {$name: 'primary'}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded.alternate.length).toEqual(1);
+        expect(res._embedded.alternate[0]).toHaveProperty('_links.self.href', 'http://example.com/en');
+      });
+    });
 
+    it('by type', function () {
+      var embeds = {alternate: {$type: 'application/json'}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded.alternate.length).toEqual(1);
+        expect(res._embedded.alternate[0]).toHaveProperty('_links.self.href', 'http://example.com/nl');
+      });
+    });
 
-describe('toState', function() {
-  var toState = hally.toState;
+    it('skipping links to resources that are not HAL', function () {
+      var embeds = {alternate: {}, icon: {}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded.alternate.map(function (alternate) {
+          return alternate._links.self.href;
+        })).toEqual(['http://example.com/en', 'http://example.com/nl']);
+        expect(res._embedded).not.toHaveProperty('icon');
+      });
+    });
+  });
 
-  it('removes the _links and _embedded properties', function() {
-    var resource = {
-      property: 'value',
-      _links: {
-        self: {href: 'http://example.com'}
+  describe('embeds templated links', function () {
+    var resources = {
+      'http://example.com': {
+        id: 42,
+        _links: {
+          self: {href: 'http://example.com'},
+          search: {href: 'http://example.com/search{?q,page}', templated: true},
+          user: {href: 'http://example.com/users/{id}', templated: true}
+        }
       },
-      _embedded: {
-        other: {
-          _links: {
-            self: {href: 'http://example.com/other'}
-          },
-          _embedded: {}
+      'http://example.com/search?q=car&page=2': {
+        _links: {
+          self: {href: 'http://example.com/search?q=car&page=2'}
+        }
+      },
+      'http://example.com/search': {
+        _links: {
+          self: {href: 'http://example.com/search'}
+        }
+      },
+      'http://example.com/users/42': {
+        _links: {
+          self: {href: 'http://example.com/users/42'}
         }
       }
     };
 
-    var state = toState(resource);
-    expect(state).toEqual({property: 'value'});
+    beforeEach(function () {
+      fetchMock.get('*', function (url, opts) {
+        return resources[url];
+      });
+    });
+
+    it('with the parameters of the embed request', function () {
+      var embeds = {search: {$params: {q: 'car', page: 2}}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded.search).toHaveProperty('_links.self.href', 'http://example.com/search?q=car&page=2');
+      });
+    });
+
+    it('with empty parameters', function () {
+      var embeds = {search: {$params: {}}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded.search).toHaveProperty('_links.self.href', 'http://example.com/search');
+      });
+    });
+
+    it('with parameters from the embedding resource', function () {
+      var embeds = {user: {$params: function (resource) {
+        return {id: resource.id};
+      }}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded.user).toHaveProperty('_links.self.href', 'http://example.com/users/42');
+      });
+    });
+
+    it('unless there are no parameters', function () {
+      var embeds = {search: {}, user: null};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded).toEqual({});
+      });
+    });
+  });
+
+  describe('follows pages', function () {
+    function item(n) {
+      return {
+        n: n,
+        _links: {
+          self: {href: 'http://example.com/items/' + n},
+          owner: {href: 'http://example.com/owner'}
+        }
+      };
+    }
+
+    var resources = {
+      'http://example.com': {
+        _links: {
+          self: {href: 'http://example.com'},
+          orders: {href: '/page1'}
+        }
+      },
+      'http://example.com/page1': {
+        _links: {
+          self: {href: '/page1'},
+          next: {href: '/page2'}
+        },
+        _embedded: {
+          item: [item(1), item(2)]
+        }
+      },
+      'http://example.com/page2': {
+        _links: {
+          self: {href: '/page2'},
+          next: {href: '/page3'},
+          item: [{href: '/items/3'}]
+        }
+      },
+      'http://example.com/page3': {
+        _links: {
+          self: {href: '/page3'},
+          next: {href: '/page1'}
+        },
+        _embedded: {
+          item: item(4)
+        }
+      },
+      'http://example.com/items/3': item(3),
+      'http://example.com/owner': {
+        _links: {
+          self: {href: 'http://example.com/owner'}
+        }
+      }
+    };
+
+    function numbers(items) {
+      return items.map(function (item) {
+        return item.n;
+      });
+    }
+
+    beforeEach(function () {
+      fetchMock.get('*', function (url, opts) {
+        return resources[url];
+      });
+    });
+
+    it('and aggregates the embedded resources', function () {
+      var embeds = {$pages: true, item: {owner: {}}};
+      return fetch('http://example.com/page1', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(numbers(res._embedded.item)).toEqual([1, 2, 3, 4]);
+        res._embedded.item.forEach(function (item) {
+          expect(item).toHaveProperty('_embedded.owner._links.self.href', 'http://example.com/owner');
+        });
+        expect(fetchMock.calls('*').length).toEqual(5);
+      });
+    });
+
+    it('of an embedded resource', function () {
+      var embeds = {orders: {$pages: {}, item: {}}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(numbers(res._embedded.orders._embedded.item)).toEqual([1, 2, 3, 4]);
+      });
+    });
+
+    it('up to a maximum number of pages', function () {
+      var embeds = {$pages: {maxPages: 2}, item: {}};
+      return fetch('http://example.com/page1', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(numbers(res._embedded.item)).toEqual([1, 2, 3]);
+      });
+    });
+
+    it('up to a maximum number of items', function () {
+      var embeds = {$pages: {maxItems: 2}, item: {}};
+      return fetch('http://example.com/page1', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(numbers(res._embedded.item)).toEqual([1, 2]);
+        expect(fetchMock.calls('*').length).toEqual(1);
+      });
+    });
+
+    it('using another relation type', function () {
+      resources['http://example.com/other'] = {
+        _links: {
+          self: {href: '/other'},
+          more: {href: '/page3'}
+        },
+        _embedded: {
+          item: [item(5)]
+        }
+      };
+      var embeds = {$pages: {next: 'more'}, item: {}};
+      return fetch('http://example.com/other', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(numbers(res._embedded.item)).toEqual([5, 4]);
+      });
+    });
+  });
+
+  describe('handles failed requests', function () {
+    var resources = {
+      'http://example.com': {
+        _links: {
+          self: {href: 'http://example.com'},
+          other: {href: 'http://example.com/other'},
+          missing: {href: 'http://example.com/missing'},
+          broken: {href: 'http://example.com/broken'},
+          many: [{href: 'http://example.com/missing'}, {href: 'http://example.com/other'}]
+        }
+      },
+      'http://example.com/other': {
+        _links: {
+          self: {href: 'http://example.com/other'},
+          missing: {href: 'http://example.com/missing'}
+        }
+      },
+      'http://example.com/missing': {
+        status: 404,
+        body: {message: 'Not found'}
+      },
+      'http://example.com/broken': {
+        status: 500,
+        body: 'Internal server error'
+      }
+    };
+
+    beforeEach(function () {
+      fetchMock.get('*', function (url, opts) {
+        return resources[url];
+      });
+    });
+
+    it('by rejecting with a HalFetchError', function () {
+      var embeds = {other: {missing: {}}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalFetchError);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.uri).toEqual('http://example.com/missing');
+        expect(error.status).toEqual(404);
+        expect(error.relPath).toEqual(['other', 'missing']);
+        expect(error.body).toEqual({message: 'Not found'});
+        expect(error.message).toEqual(
+            'Request for http://example.com/missing failed with status 404 (embedding other > missing)');
+      });
+    });
+
+    it('by rejecting with a HalFetchError with a text body', function () {
+      var embeds = {broken: {}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalFetchError);
+        expect(error.status).toEqual(500);
+        expect(error.body).toEqual('Internal server error');
+      });
+    });
+
+    it('of the resource itself', function () {
+      return fetch('http://example.com/missing', opts).then(halJson(opts)).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalFetchError);
+        expect(error.uri).toEqual('http://example.com/missing');
+        expect(error.relPath).toEqual([]);
+        expect(error.message).toEqual('Request for http://example.com/missing failed with status 404');
+      });
+    });
+
+    it('by recording errors of optional embed requests', function () {
+      var embeds = {other: {missing: {$optional: true}}, broken: {$optional: true}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res).toHaveProperty('_embedded.other._links.self.href', 'http://example.com/other');
+        expect(res._embedded).not.toHaveProperty('broken');
+        expect(res._errors.broken).toBeInstanceOf(hally.HalFetchError);
+        expect(res._errors.broken.status).toEqual(500);
+
+        var other = res._embedded.other;
+        expect(other._embedded).not.toHaveProperty('missing');
+        expect(other._errors.missing.uri).toEqual('http://example.com/missing');
+        expect(other._errors.missing.relPath).toEqual(['other', 'missing']);
+      });
+    });
+
+    it('by embedding the successfully requested resources of optional embed requests', function () {
+      var embeds = {many: {$optional: true}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._embedded.many.length).toEqual(1);
+        expect(res._embedded.many[0]).toHaveProperty('_links.self.href', 'http://example.com/other');
+        expect(res._errors.many.length).toEqual(1);
+        expect(res._errors.many[0].status).toEqual(404);
+      });
+    });
+  });
+
+  describe('intercepts requests and responses', function () {
+    var resources = {
+      'http://example.com': {
+        _links: {
+          self: {href: 'http://example.com'},
+          other: {href: 'http://internal.example.com/other'}
+        }
+      },
+      'http://public.example.com/other': {
+        _links: {
+          self: {href: 'http://internal.example.com/other'},
+          more: {href: 'http://example.com/more'}
+        }
+      },
+      'http://example.com/more': {
+        _links: {
+          self: {href: 'http://example.com/more'}
+        }
+      }
+    };
+
+    beforeEach(function () {
+      fetchMock.get('*', function (url) {
+        return resources[url];
+      });
+    });
+
+    it('changing the URI and options of requests per relation type and URI', function () {
+      var requests = [];
+      opts.interceptors = [{
+        request: function (request) {
+          requests.push({uri: request.uri, rel: request.rel, relPath: request.relPath});
+          var host = request.uri.split('/')[2];
+          request.uri = request.uri.replace('//internal.', '//public.');
+          request.opts = {headers: {'Authorization': host === 'internal.example.com' ? 'internal' : 'public'}};
+          return request;
+        }
+      }, {
+        request: function (request) {
+          return Promise.resolve().then(function () {
+            request.opts.headers['X-Trace'] = request.relPath.join('/');
+            return request;
+          });
+        }
+      }];
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other(more)')).then(function (res) {
+        expect(res._embedded.other._embedded.more).toHaveProperty('_links.self.href', 'http://example.com/more');
+        expect(requests).toEqual([
+          {uri: 'http://internal.example.com/other', rel: 'other', relPath: ['other']},
+          {uri: 'http://example.com/more', rel: 'more', relPath: ['other', 'more']}
+        ]);
+        expect(fetchMock.lastOptions('*')).toEqual({headers: {'Authorization': 'public', 'X-Trace': 'other/more'}});
+        expect(fetchMock.calls('*')[1]).toEqual([
+          'http://public.example.com/other',
+          {headers: {'Authorization': 'internal', 'X-Trace': 'other'}}
+        ]);
+      });
+    });
+
+    it('transforming resources before they are added to the context', function () {
+      opts.interceptors = [{
+        request: function (request) {
+          request.uri = request.uri.replace('//internal.', '//public.');
+          return request;
+        }
+      }, {
+        response: function (resource, response, request) {
+          resource.status = response.status;
+          resource.rel = request.rel;
+          if (resource._links.more) resource._links.more.href = 'http://example.com/more';
+          return Promise.resolve(resource);
+        }
+      }];
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other(more)')).then(function (res) {
+        expect(res.status).toEqual(200);
+        expect(res.rel).toBeUndefined();
+        expect(res._embedded.other.rel).toEqual('other');
+        expect(res._embedded.other._embedded.more.rel).toEqual('more');
+        expect(hally.mergePatch(res._embedded.other)).toEqual({});
+      });
+    });
+
+    it('with a client in the options', function () {
+      var requests = [];
+      opts.client = new hally.Client();
+      opts.interceptors = [{
+        request: function (request) {
+          requests.push(request.uri);
+          request.uri = request.uri.replace('//internal.', '//public.');
+          return request;
+        }
+      }];
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function (res) {
+        expect(res._embedded.other).toHaveProperty('_links.self.href', 'http://internal.example.com/other');
+        expect(requests).toEqual(['http://internal.example.com/other']);
+      });
+    });
+  });
+
+  describe('retries failed requests', function () {
+    var root = {
+      _links: {
+        self: {href: 'http://example.com'},
+        other: {href: 'http://example.com/other'}
+      }
+    };
+    var other = {
+      _links: {
+        self: {href: 'http://example.com/other'}
+      }
+    };
+
+    function failing(failures) {
+      fetchMock.get('http://example.com', root);
+      var count = 0;
+      fetchMock.get('http://example.com/other', function () {
+        count += 1;
+        return count <= failures.length ? failures[count - 1] : other;
+      });
+    }
+
+    function otherCalls() {
+      return fetchMock.calls('http://example.com/other').length;
+    }
+
+    it('with transient statuses and network errors', function () {
+      failing([503, {throws: new TypeError('Failed to fetch')}]);
+      opts.retry = {delay: 1};
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function (res) {
+        expect(res).toHaveProperty('_embedded.other._links.self.href', 'http://example.com/other');
+        expect(otherCalls()).toEqual(3);
+      });
+    });
+
+    it('not with errors that fetch did not throw', function () {
+      fetchMock.get('http://example.com', root);
+      var intercepted = 0;
+      opts.retry = {delay: 1};
+      opts.interceptors = [{
+        request: function (request) {
+          intercepted += 1;
+          return request.missing.property;
+        }
+      }];
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(TypeError);
+        expect(intercepted).toEqual(1);
+      });
+    });
+
+    it('without keeping other requests from being sent while waiting', function () {
+      var requests = [];
+      var count = 0;
+      fetchMock.get('http://example.com/first', function (url) {
+        requests.push(url);
+        count += 1;
+        return count === 1 ? 503 : {_links: {self: {href: url}}};
+      });
+      fetchMock.get('http://example.com/second', function (url) {
+        requests.push(url);
+        return {_links: {self: {href: url}}};
+      });
+      var resource = {_links: {self: {href: 'http://example.com/'}, first: {href: '/first'}, second: {href: '/second'}}};
+      fetchMock.get('http://example.com/', resource);
+      opts.retry = {delay: 1};
+      opts.maxConcurrency = 1;
+
+      return fetch('http://example.com/', opts).then(halJson(opts, 'first,second')).then(function () {
+        expect(requests).toEqual(['http://example.com/first', 'http://example.com/second', 'http://example.com/first']);
+      });
+    });
+
+    it('up to the maximum number of attempts', function () {
+      failing([500, 502, 504, 503]);
+      opts.retry = {attempts: 4, delay: 1};
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalFetchError);
+        expect(error.status).toEqual(503);
+        expect(otherCalls()).toEqual(4);
+      });
+    });
+
+    it('not with other statuses', function () {
+      failing([404]);
+      opts.retry = {delay: 1};
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error.status).toEqual(404);
+        expect(otherCalls()).toEqual(1);
+      });
+    });
+
+    it('deciding with a predicate', function () {
+      failing([404]);
+      var retryOn = jest.fn(function (error) {
+        return error.status === 404;
+      });
+      opts.retry = {delay: 1, retryOn: retryOn};
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function () {
+        expect(otherCalls()).toEqual(2);
+        expect(retryOn.mock.calls.length).toEqual(1);
+        expect(retryOn.mock.calls[0][0].status).toEqual(404);
+        expect(retryOn.mock.calls[0][1]).toEqual(1);
+      });
+    });
+
+    it('after the delay in the Retry-After header', function () {
+      failing([{status: 429, headers: {'Retry-After': '0'}}]);
+      opts.retry = {delay: 60000, maxDelay: 60000};
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function () {
+        expect(otherCalls()).toEqual(2);
+      });
+    });
+
+    it('not if the Retry-After header asks to wait longer than the maximum delay', function () {
+      failing([{status: 503, headers: {'Retry-After': new Date(Date.now() + 120000).toUTCString()}}]);
+      opts.retry = {delay: 1, maxDelay: 60000};
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error.status).toEqual(503);
+        expect(otherCalls()).toEqual(1);
+      });
+    });
+
+    it('unless aborted while waiting', function () {
+      var controller = abortController();
+      fetchMock.get('http://example.com', root);
+      fetchMock.get('http://example.com/other', function () {
+        setTimeout(controller.abort, 5);
+        return {status: 503, headers: {'Retry-After': '60'}};
+      });
+      opts.signal = controller.signal;
+      opts.retry = {maxDelay: 60000};
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalAbortError);
+        expect(otherCalls()).toEqual(1);
+      });
+    });
+  });
+
+  describe('aborts requests', function () {
+    var resources = {
+      'http://example.com': {
+        _links: {
+          self: {href: 'http://example.com'},
+          other: {href: 'http://example.com/other'},
+          slow: {href: 'http://example.com/slow'}
+        }
+      },
+      'http://example.com/other': {
+        _links: {
+          self: {href: 'http://example.com/other'},
+          slow: {href: 'http://example.com/slow'}
+        }
+      },
+      'http://example.com/slow': {
+        _links: {
+          self: {href: 'http://example.com/slow'}
+        }
+      }
+    };
+
+    function respond(url, delay) {
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          resolve(resources[url]);
+        }, delay);
+      });
+    }
+
+    beforeEach(function () {
+      fetchMock.get('http://example.com', resources['http://example.com']);
+    });
+
+    it('when the signal is aborted', function () {
+      fetchMock.get('http://example.com/slow', function (url) {
+        controller.abort();
+        return respond(url, 10);
+      });
+      var controller = abortController();
+      opts.signal = controller.signal;
+
+      return expectRejection(fetch('http://example.com', opts).then(halJson(opts, 'slow'))).then(function (error) {
+        expect(error).toBeInstanceOf(hally.HalAbortError);
+        expect(error.message).toEqual('Request for http://example.com was aborted');
+        expect(fetchMock.lastOptions('http://example.com/slow').signal.aborted).toBe(true);
+      });
+    });
+
+    it('shared by traversals only when all of them are aborted', function () {
+      var first = abortController();
+      var second = abortController();
+      fetchMock.get('http://example.com/slow', function (url) {
+        setTimeout(first.abort, 5);
+        return respond(url, 10);
+      });
+      var client = new hally.Client();
+      var firstOpts = {client: client, signal: first.signal};
+      var secondOpts = {client: client, signal: second.signal};
+
+      return Promise.all([
+        expectRejection(fetch('http://example.com', firstOpts).then(halJson(firstOpts, 'slow'))),
+        fetch('http://example.com', secondOpts).then(halJson(secondOpts, 'slow'))
+      ]).then(function (results) {
+        expect(results[0]).toBeInstanceOf(hally.HalAbortError);
+        expect(results[1]).toHaveProperty('_embedded.slow._links.self.href', 'http://example.com/slow');
+        expect(fetchMock.calls('http://example.com/slow').length).toEqual(1);
+        expect(fetchMock.lastOptions('http://example.com/slow').signal.aborted).toBe(false);
+      });
+    });
+
+    it('shared by traversals when all of them are aborted', function () {
+      var first = abortController();
+      var second = abortController();
+      fetchMock.get('http://example.com/slow', function (url) {
+        setTimeout(function () {
+          first.abort();
+          second.abort();
+        }, 5);
+        return respond(url, 10);
+      });
+      var client = new hally.Client();
+      var firstOpts = {client: client, signal: first.signal};
+      var secondOpts = {client: client, signal: second.signal};
+
+      return Promise.all([
+        expectRejection(fetch('http://example.com', firstOpts).then(halJson(firstOpts, 'slow'))),
+        expectRejection(fetch('http://example.com', secondOpts).then(halJson(secondOpts, 'slow')))
+      ]).then(function (errors) {
+        expect(errors[0]).toBeInstanceOf(hally.HalAbortError);
+        expect(errors[1]).toBeInstanceOf(hally.HalAbortError);
+        expect(fetchMock.lastOptions('http://example.com/slow').signal.aborted).toBe(true);
+      });
+    });
+
+    it('without keeping listeners on the signal after requests are settled', function () {
+      fetchMock.get('http://example.com/other', resources['http://example.com/other']);
+      fetchMock.get('http://example.com/slow', resources['http://example.com/slow']);
+      var controller = abortController();
+      opts.signal = controller.signal;
+      opts.timeout = 1000;
+      opts.totalTimeout = 1000;
+
+      return fetch('http://example.com', opts).then(halJson(opts, 'other(slow),slow')).then(function () {
+        return fetch('http://example.com', opts).then(halJson(opts, 'other'));
+      }).then(function () {
+        expect(controller.listenerCount()).toEqual(0);
+      });
+    });
+
+    it('without sending requests if the signal was aborted already', function () {
+      var controller = abortController();
+      controller.abort();
+      opts.signal = controller.signal;
+
+      return expectRejection(fetch('http://example.com', opts).then(halJson(opts, 'other'))).then(function (error) {
+        expect(error).toBeInstanceOf(hally.HalAbortError);
+        expect(error.uri).toEqual('http://example.com');
+      });
+    });
+
+    it('when a request takes longer than the timeout', function () {
+      fetchMock.get('http://example.com/other', resources['http://example.com/other']);
+      fetchMock.get('http://example.com/slow', function (url) {
+        return respond(url, 50);
+      });
+      opts.timeout = 10;
+
+      var embeds = 'other(slow)';
+      return expectRejection(fetch('http://example.com', opts).then(halJson(opts, embeds))).then(function (error) {
+        expect(error).toBeInstanceOf(hally.HalTimeoutError);
+        expect(error).toBeInstanceOf(hally.HalAbortError);
+        expect(error.timeout).toEqual(10);
+        expect(error.message).toEqual('Request for http://example.com/slow timed out after 10 ms (embedding other > slow)');
+      });
+    });
+
+    it('recording timeouts of optional requests', function () {
+      fetchMock.get('http://example.com/slow', function (url) {
+        return respond(url, 50);
+      });
+      opts.timeout = 10;
+
+      var embeds = {slow: {$optional: true}};
+      return fetch('http://example.com', opts).then(halJson(opts, embeds)).then(function (res) {
+        expect(res._errors.slow).toBeInstanceOf(hally.HalTimeoutError);
+      });
+    });
+
+    it('when all requests take longer than the total timeout', function () {
+      fetchMock.get('http://example.com/other', function (url) {
+        return respond(url, 20);
+      });
+      fetchMock.get('http://example.com/slow', function (url) {
+        return respond(url, 20);
+      });
+      opts.totalTimeout = 30;
+
+      var embeds = {other: {slow: {$optional: true}}};
+      return expectRejection(fetch('http://example.com', opts).then(halJson(opts, embeds))).then(function (error) {
+        expect(error).toBeInstanceOf(hally.HalTimeoutError);
+        expect(error.message).toEqual('Request for http://example.com timed out after 30 ms');
+      });
+    });
+  });
+
+  describe('validates resources against the schemas of their profiles', function () {
+    var carSchema = {
+      type: 'object',
+      required: ['brand'],
+      properties: {
+        brand: {type: 'string', minLength: 1},
+        doors: {type: 'integer', minimum: 2}
+      }
+    };
+
+    function car(properties) {
+      var res = {_links: {self: {href: 'http://example.com/car'}, profile: {href: '/profiles/car'}}};
+      Object.keys(properties).forEach(function (key) {
+        res[key] = properties[key];
+      });
+      return res;
+    }
+
+    beforeEach(function () {
+      opts.schemas = {profiles: {'http://example.com/profiles/car': carSchema}};
+    });
+
+    it('accepting valid resources', function () {
+      fetchMock.get('http://example.com/car', car({brand: 'Volvo', doors: 5}));
+
+      return fetch('http://example.com/car', opts).then(halJson(opts)).then(function (res) {
+        expect(res.brand).toEqual('Volvo');
+      });
+    });
+
+    it('rejecting invalid resources with the URI and JSON pointers', function () {
+      fetchMock.get('http://example.com/car', car({doors: 1.5}));
+
+      return expectRejection(fetch('http://example.com/car', opts).then(halJson(opts))).then(function (error) {
+        expect(error).toBeInstanceOf(hally.HalSchemaError);
+        expect(error.uri).toEqual('http://example.com/car');
+        expect(error.profile).toEqual('http://example.com/profiles/car');
+        expect(error.violations).toEqual([
+          {pointer: '/brand', message: "Property '/brand' is required"},
+          {pointer: '/doors', message: "Property '/doors' must be of type integer"}
+        ]);
+        expect(error.message).toEqual('Resource http://example.com/car does not match the schema of profile ' +
+            "http://example.com/profiles/car: Property '/brand' is required, Property '/doors' must be of type integer");
+      });
+    });
+
+    it('using the profile of the followed link', function () {
+      fetchMock.get('http://example.com', {
+        _links: {
+          self: {href: 'http://example.com'},
+          car: {href: 'http://example.com/other', profile: 'http://example.com/profiles/car'}
+        }
+      });
+      fetchMock.get('http://example.com/other', {_links: {self: {href: 'http://example.com/other'}}, brand: ''});
+
+      return expectRejection(fetch('http://example.com', opts).then(halJson(opts, 'car'))).then(function (error) {
+        expect(error.uri).toEqual('http://example.com/other');
+        expect(error.relPath).toEqual(['car']);
+        expect(error.violations).toEqual([
+          {pointer: '/brand', message: "Property '/brand' must be at least 1 characters"}
+        ]);
+      });
+    });
+
+    it('including resources embedded by the server', function () {
+      fetchMock.get('http://example.com', {
+        _links: {self: {href: 'http://example.com'}},
+        _embedded: {car: car({brand: 42})}
+      });
+
+      return expectRejection(fetch('http://example.com', opts).then(halJson(opts))).then(function (error) {
+        expect(error.uri).toEqual('http://example.com/car');
+        expect(error.violations[0].pointer).toEqual('/brand');
+      });
+    });
+
+    it('warning about invalid resources in warn mode', function () {
+      fetchMock.get('http://example.com/car', car({}));
+
+      var warnings = [];
+      opts.schemas.mode = 'warn';
+      opts.schemas.warn = function (error) {
+        warnings.push(error);
+      };
+      return fetch('http://example.com/car', opts).then(halJson(opts)).then(function (res) {
+        expect(res).toHaveProperty('_links.self.href', 'http://example.com/car');
+        expect(warnings.length).toEqual(1);
+        expect(warnings[0]).toBeInstanceOf(hally.HalSchemaError);
+        expect(warnings[0].violations[0].pointer).toEqual('/brand');
+      });
+    });
+
+    it('using the profile of the link to resources embedded by the server', function () {
+      fetchMock.get('http://example.com', {
+        _links: {
+          self: {href: 'http://example.com'},
+          car: {href: 'http://example.com/other', profile: 'http://example.com/profiles/car'}
+        },
+        _embedded: {car: {_links: {self: {href: 'http://example.com/other'}}, brand: ''}}
+      });
+
+      return expectRejection(fetch('http://example.com', opts).then(halJson(opts, 'car'))).then(function (error) {
+        expect(error.uri).toEqual('http://example.com/other');
+        expect(error.relPath).toEqual(['car']);
+        expect(error.violations[0].pointer).toEqual('/brand');
+      });
+    });
+
+    it('warning about schemas that cannot be fetched in warn mode', function () {
+      fetchMock.get('http://example.com/car', car({brand: 'Volvo'}));
+      fetchMock.get('http://example.com/profiles/car', 404);
+
+      var warnings = [];
+      opts.schemas.profiles['http://example.com/profiles/car'] = 'http://example.com/profiles/car';
+      opts.schemas.mode = 'warn';
+      opts.schemas.warn = function (error) {
+        warnings.push(error);
+      };
+      return fetch('http://example.com/car', opts).then(halJson(opts)).then(function (res) {
+        expect(res.brand).toEqual('Volvo');
+        expect(warnings.length).toEqual(1);
+        expect(warnings[0]).toBeInstanceOf(hally.HalFetchError);
+        expect(warnings[0].uri).toEqual('http://example.com/profiles/car');
+      });
+    });
+
+    it('fetching schemas by URI once', function () {
+      fetchMock.get('http://example.com', {
+        _links: {self: {href: 'http://example.com'}, car: [{href: 'http://example.com/car'}, {href: 'http://example.com/car2'}]}
+      });
+      fetchMock.get('http://example.com/car', car({brand: 'Volvo'}));
+      fetchMock.get('http://example.com/car2', {
+        _links: {self: {href: 'http://example.com/car2'}, profile: {href: '/profiles/car'}},
+        brand: 'Ford'
+      });
+      fetchMock.get('http://example.com/profiles/car', carSchema);
+
+      opts.schemas.profiles['http://example.com/profiles/car'] = 'http://example.com/profiles/car';
+      return fetch('http://example.com', opts).then(halJson(opts, 'car')).then(function (res) {
+        expect(res._embedded.car.length).toEqual(2);
+        expect(fetchMock.calls('http://example.com/profiles/car').length).toEqual(1);
+      });
+    });
+
+    it('allowing for rounding errors with decimal multiples', function () {
+      fetchMock.get('http://example.com/car', car({brand: 'Volvo', price: 0.3, weight: 0.35}));
+
+      opts.schemas.profiles['http://example.com/profiles/car'] = {
+        properties: {price: {multipleOf: 0.1}, weight: {multipleOf: 0.1}}
+      };
+      return expectRejection(fetch('http://example.com/car', opts).then(halJson(opts))).then(function (error) {
+        expect(error.violations).toEqual([
+          {pointer: '/weight', message: "Property '/weight' must be a multiple of 0.1"}
+        ]);
+      });
+    });
+
+    it('supporting common keywords and references', function () {
+      fetchMock.get('http://example.com/car', car({
+        brand: 'Volvo',
+        color: 'pink',
+        tags: ['a', 'a'],
+        owner: {name: 5},
+        extra: true
+      }));
+
+      opts.schemas.profiles['http://example.com/profiles/car'] = {
+        definitions: {
+          person: {type: 'object', properties: {name: {type: 'string'}}}
+        },
+        allOf: [carSchema],
+        properties: {
+          brand: true,
+          color: {enum: ['red', 'blue']},
+          tags: {type: 'array', uniqueItems: true, items: {pattern: '^[a-z]$'}},
+          owner: {$ref: '#/definitions/person'}
+        },
+        patternProperties: {'^ext': {type: 'string'}},
+        additionalProperties: false
+      };
+      return expectRejection(fetch('http://example.com/car', opts).then(halJson(opts))).then(function (error) {
+        expect(error.violations.map(function (violation) {
+          return violation.pointer;
+        })).toEqual(['/color', '/tags', '/owner/name', '/extra']);
+      });
+    });
+  });
+});
+
+
+describe('Client', function () {
+  var Client = hally.Client;
+
+  var client;
+
+  beforeEach(function () {
+    client = new Client({headers: {'Accept': 'application/hal+json'}});
+  });
+
+  function resource(uri, links) {
+    var res = {_links: {self: {href: uri}}};
+    Object.keys(links || {}).forEach(function (rel) {
+      res._links[rel] = {href: links[rel]};
+    });
+    return res;
+  }
+
+  it('gets a resource and embeds linked resources', function () {
+    fetchMock.get('http://example.com', resource('http://example.com', {other: 'http://example.com/other'}));
+    fetchMock.get('http://example.com/other', resource('http://example.com/other'));
+
+    return client.get('http://example.com', {other: {}}).then(function (res) {
+      expect(res).toHaveProperty('_embedded.other._links.self.href', 'http://example.com/other');
+      expect(fetchMock.calls('http://example.com')).toEqual([[
+        'http://example.com',
+        {headers: {'Accept': 'application/hal+json'}}
+      ]]);
+    });
+  });
+
+  it('uses the embeds property in opts', function () {
+    fetchMock.get('http://example.com', resource('http://example.com', {other: 'http://example.com/other'}));
+    fetchMock.get('http://example.com/other', resource('http://example.com/other'));
+
+    client = new Client({embeds: {other: {}}});
+    return client.get('http://example.com').then(function (res) {
+      expect(res).toHaveProperty('_embedded.other._links.self.href', 'http://example.com/other');
+    });
+  });
+
+  it('reuses fresh resources', function () {
+    fetchMock.get('http://example.com', {
+      body: resource('http://example.com', {other: 'http://example.com/other'}),
+      headers: {'Cache-Control': 'public, max-age=60'}
+    });
+    fetchMock.get('http://example.com/other', {
+      body: resource('http://example.com/other'),
+      headers: {'Expires': 'Thu, 01 Jan 2037 00:01:00 GMT', 'Date': 'Thu, 01 Jan 2037 00:00:00 GMT'}
+    });
+
+    return client.get('http://example.com', {other: {}}).then(function (first) {
+      return client.get('http://example.com', {other: {}}).then(function (second) {
+        expect(second).toBe(first);
+        expect(fetchMock.calls('http://example.com').length).toEqual(1);
+        expect(fetchMock.calls('http://example.com/other').length).toEqual(1);
+      });
+    });
+  });
+
+  it('reuses resources embedded in fresh resources', function () {
+    var res = resource('http://example.com');
+    res._embedded = {other: resource('http://example.com/other')};
+    fetchMock.get('http://example.com', {body: res, headers: {'Cache-Control': 'max-age=60'}});
+
+    return client.get('http://example.com').then(function (first) {
+      return client.get('http://example.com/other').then(function (other) {
+        expect(other).toBe(first._embedded.other);
+      });
+    });
+  });
+
+  it('requests a resource once for concurrent requests', function () {
+    fetchMock.get('http://example.com', resource('http://example.com'));
+
+    return Promise.all([client.get('http://example.com'), client.get('http://example.com')]).then(function (res) {
+      expect(res[0]).toBe(res[1]);
+      expect(fetchMock.calls('http://example.com').length).toEqual(1);
+    });
+  });
+
+  it('revalidates stale resources using the entity tag', function () {
+    fetchMock.get('http://example.com', function (url, opts) {
+      if (opts.headers['If-None-Match'] === '"1"') {
+        return {status: 304, headers: {'Cache-Control': 'max-age=60'}};
+      }
+      return {body: resource('http://example.com'), headers: {'ETag': '"1"', 'Cache-Control': 'no-cache'}};
+    });
+
+    return client.get('http://example.com').then(function (first) {
+      return client.get('http://example.com').then(function (second) {
+        expect(second).toBe(first);
+        return client.get('http://example.com');
+      });
+    }).then(function () {
+      var calls = fetchMock.calls('http://example.com');
+      expect(calls.length).toEqual(2);
+      expect(calls[1][1]).toEqual({headers: {'Accept': 'application/hal+json', 'If-None-Match': '"1"'}});
+    });
+  });
+
+  it('adds revalidation headers to request headers of any kind', function () {
+    fetchMock.get('http://example.com', {body: resource('http://example.com'), headers: {'ETag': '"1"'}});
+
+    var clients = [new Client(), new Client({headers: [['Accept', 'application/hal+json']]})];
+    return Promise.all(clients.map(function (client) {
+      return client.get('http://example.com').then(function () {
+        return client.get('http://example.com');
+      });
+    })).then(function () {
+      var calls = fetchMock.calls('http://example.com');
+      expect(calls[2][1]).toEqual({headers: {'If-None-Match': '"1"'}});
+      expect(calls[3][1]).toEqual({headers: {'Accept': 'application/hal+json', 'If-None-Match': '"1"'}});
+    });
+  });
+
+  it('revalidates stale resources using the modification date', function () {
+    var lastModified = 'Thu, 01 Jan 2015 00:00:00 GMT';
+    fetchMock.get('http://example.com', function (url, opts) {
+      if (opts.headers['If-Modified-Since'] === lastModified) {
+        return {status: 304};
+      }
+      return {body: resource('http://example.com'), headers: {'Last-Modified': lastModified}};
+    });
+
+    return client.get('http://example.com').then(function (first) {
+      return client.get('http://example.com').then(function (second) {
+        expect(second).toBe(first);
+        return client.get('http://example.com');
+      });
+    }).then(function () {
+      expect(fetchMock.calls('http://example.com').length).toEqual(3);
+    });
+  });
+
+  it('replaces stale resources that were modified', function () {
+    var version = 0;
+    fetchMock.get('http://example.com', function (url, opts) {
+      version += 1;
+      var res = resource('http://example.com');
+      res.version = version;
+      return {body: res, headers: {'ETag': '"' + version + '"'}};
+    });
+
+    return client.get('http://example.com').then(function (first) {
+      return client.get('http://example.com').then(function (second) {
+        expect(first.version).toEqual(1);
+        expect(second.version).toEqual(2);
+        expect(fetchMock.calls('http://example.com')[1][1].headers['If-None-Match']).toEqual('"1"');
+      });
+    });
+  });
+
+  it('does not store resources if the response forbids it', function () {
+    fetchMock.get('http://example.com', {
+      body: resource('http://example.com'),
+      headers: {'Cache-Control': 'no-store', 'ETag': '"1"'}
+    });
+
+    return client.get('http://example.com').then(function () {
+      return client.get('http://example.com');
+    }).then(function () {
+      var calls = fetchMock.calls('http://example.com');
+      expect(calls.length).toEqual(2);
+      expect(calls[1][1].headers).not.toHaveProperty('If-None-Match');
+    });
+  });
+
+  it('keeps the validators of resources if the response forbids storing them', function () {
+    fetchMock.get('http://example.com', {
+      body: resource('http://example.com'),
+      headers: {'Cache-Control': 'no-store', 'ETag': '"1"'}
+    });
+    fetchMock.put('http://example.com', 204, {name: 'put'});
+
+    return client.get('http://example.com').then(function (res) {
+      res.version = 2;
+      return client.save(res);
+    }).then(function () {
+      expect(fetchMock.lastOptions('put').headers['If-Match']).toEqual('"1"');
+    });
+  });
+
+  describe('limits concurrent requests', function () {
+    var active;
+    var maxActive;
+    var requested;
+
+    function delayed(res) {
+      return function (url) {
+        requested.push(url);
+        active[''] = (active[''] || 0) + 1;
+        var host = url.split('/')[2];
+        active[host] = (active[host] || 0) + 1;
+        Object.keys(active).forEach(function (key) {
+          maxActive[key] = Math.max(maxActive[key] || 0, active[key]);
+        });
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            active[''] -= 1;
+            active[host] -= 1;
+            resolve(res);
+          }, 5);
+        });
+      };
+    }
+
+    beforeEach(function () {
+      active = {};
+      maxActive = {};
+      requested = [];
+    });
+
+    it('in total', function () {
+      var root = resource('http://example.com');
+      root._links.item = [];
+      for (var i = 0; i < 5; i++) {
+        root._links.item.push({href: 'http://example.com/item' + i});
+        fetchMock.get('http://example.com/item' + i, delayed(resource('http://example.com/item' + i)));
+      }
+      fetchMock.get('http://example.com', delayed(root));
+
+      client = new Client({maxConcurrency: 2});
+      return client.get('http://example.com', {item: {}}).then(function (res) {
+        expect(res._embedded.item.length).toEqual(5);
+        expect(maxActive['']).toEqual(2);
+      });
+    });
+
+    it('per host', function () {
+      var root = resource('http://example.com');
+      root._links.item = [];
+      ['a.example.com', 'b.example.com'].forEach(function (host) {
+        for (var i = 0; i < 3; i++) {
+          var uri = 'http://' + host + '/item' + i;
+          root._links.item.push({href: uri});
+          fetchMock.get(uri, delayed(resource(uri)));
+        }
+      });
+      fetchMock.get('http://example.com', delayed(root));
+
+      client = new Client({maxConcurrencyPerHost: 1});
+      return client.get('http://example.com', {item: {}}).then(function (res) {
+        expect(res._embedded.item.length).toEqual(6);
+        expect(maxActive['a.example.com']).toEqual(1);
+        expect(maxActive['b.example.com']).toEqual(1);
+        expect(maxActive['']).toEqual(2);
+      });
+    });
+
+    it('breadth-first', function () {
+      fetchMock.get('http://example.com', delayed(resource('http://example.com', {
+        a1: 'http://example.com/a1', a2: 'http://example.com/a2'
+      })));
+      fetchMock.get('http://example.com/a1', delayed(resource('http://example.com/a1', {b: 'http://example.com/b1'})));
+      fetchMock.get('http://example.com/a2', delayed(resource('http://example.com/a2', {b: 'http://example.com/b2'})));
+      fetchMock.get('http://example.com/b1', delayed(resource('http://example.com/b1')));
+      fetchMock.get('http://example.com/b2', delayed(resource('http://example.com/b2')));
+
+      client = new Client({maxConcurrency: 1});
+      return client.get('http://example.com', {a1: {b: {}}, a2: {b: {}}}).then(function () {
+        expect(requested).toEqual([
+          'http://example.com',
+          'http://example.com/a1',
+          'http://example.com/a2',
+          'http://example.com/b1',
+          'http://example.com/b2'
+        ]);
+      });
+    });
+
+    it('when using halJson', function () {
+      var root = resource('http://example.com');
+      root._links.item = [];
+      for (var i = 0; i < 3; i++) {
+        root._links.item.push({href: 'http://example.com/item' + i});
+        fetchMock.get('http://example.com/item' + i, delayed(resource('http://example.com/item' + i)));
+      }
+      fetchMock.get('http://example.com', root);
+
+      var opts = {maxConcurrency: 1};
+      return fetch('http://example.com', opts).then(hally.halJson(opts, {item: {}})).then(function (res) {
+        expect(res._embedded.item.length).toEqual(3);
+        expect(maxActive['']).toEqual(1);
+      });
+    });
+  });
+
+  describe('iterates over the items of paged collections', function () {
+    function mockPage2() {
+      var page2 = resource('http://example.com/page2', {next: '/page1'});
+      page2._links.item = {href: '/3'};
+      fetchMock.get('http://example.com/page2', page2);
+      fetchMock.get('http://example.com/3', resource('http://example.com/3', {owner: '/owner'}));
+    }
+
+    beforeEach(function () {
+      var page1 = resource('http://example.com/page1', {next: '/page2'});
+      page1._embedded = {item: [resource('http://example.com/1', {owner: '/owner'}), resource('http://example.com/2')]};
+      fetchMock.get('http://example.com/page1', page1);
+    });
+
+    function collect(iterator, items) {
+      items = items || [];
+      return iterator.next().then(function (result) {
+        if (result.done) return items;
+        items.push(result.value);
+        return collect(iterator, items);
+      });
+    }
+
+    function hrefs(items) {
+      return items.map(function (item) {
+        return item._links.self.href;
+      });
+    }
+
+    it('following next links', function () {
+      mockPage2();
+      fetchMock.get('http://example.com/owner', resource('http://example.com/owner'));
+
+      var iterator = client.items('http://example.com/page1', 'item', {embeds: {owner: {}}});
+      expect(iterator[Symbol.asyncIterator]()).toBe(iterator);
+      return collect(iterator).then(function (items) {
+        expect(hrefs(items)).toEqual(['http://example.com/1', 'http://example.com/2', 'http://example.com/3']);
+        expect(items[0]).toHaveProperty('_embedded.owner._links.self.href', 'http://example.com/owner');
+        expect(items[2]._embedded.owner).toBe(items[0]._embedded.owner);
+        expect(fetchMock.calls('http://example.com/owner').length).toEqual(1);
+      });
+    });
+
+    it('requesting pages when needed', function () {
+      mockPage2();
+
+      var iterator = client.items('http://example.com/page1', 'item');
+      return Promise.all([iterator.next(), iterator.next()]).then(function (results) {
+        expect(hrefs([results[0].value, results[1].value])).toEqual(['http://example.com/1', 'http://example.com/2']);
+        expect(fetchMock.calls('http://example.com/page2').length).toEqual(0);
+        return iterator.next();
+      }).then(function (result) {
+        expect(result.value).toHaveProperty('_links.self.href', 'http://example.com/3');
+        expect(fetchMock.calls('http://example.com/page2').length).toEqual(1);
+      });
+    });
+
+    it('up to a maximum number of items', function () {
+      return collect(client.items('http://example.com/page1', 'item', {maxItems: 1})).then(function (items) {
+        expect(hrefs(items)).toEqual(['http://example.com/1']);
+      });
+    });
+
+    it('up to a maximum number of pages', function () {
+      return collect(client.items('http://example.com/page1', 'item', {maxPages: 1})).then(function (items) {
+        expect(hrefs(items)).toEqual(['http://example.com/1', 'http://example.com/2']);
+      });
+    });
+  });
+
+  describe('saves resources', function () {
+    var car;
+
+    beforeEach(function () {
+      car = resource('http://example.com/car');
+      car.brand = 'Volvo';
+      car.color = 'red';
+      fetchMock.get('http://example.com/car', {body: car, headers: {'ETag': '"1"'}});
+    });
+
+    it('with a conditional PUT request', function () {
+      var stored = resource('http://example.com/car');
+      stored.brand = 'Ford';
+      fetchMock.put('http://example.com/car', {body: stored, headers: {'ETag': '"2"'}}, {name: 'put'});
+
+      return client.get('http://example.com/car').then(function (res) {
+        res.brand = 'Ford';
+        return client.save(res);
+      }).then(function (res) {
+        expect(fetchMock.lastOptions('put')).toEqual({
+          method: 'PUT',
+          headers: {'Accept': 'application/hal+json', 'Content-Type': 'application/json', 'If-Match': '"1"'},
+          body: '{"brand":"Ford","color":"red"}'
+        });
+        expect(res.brand).toEqual('Ford');
+        expect(hally.mergePatch(res)).toEqual({});
+        return client.get('http://example.com/car').then(function () {
+          expect(fetchMock.lastOptions('http://example.com/car').headers['If-None-Match']).toEqual('"2"');
+        });
+      });
+    });
+
+    it('with a conditional request after getting them with halJson', function () {
+      fetchMock.put('http://example.com/car', 204, {name: 'put'});
+      var opts = {client: client};
+
+      return fetch('http://example.com/car', opts).then(hally.halJson(opts)).then(function (res) {
+        res.brand = 'Ford';
+        return client.save(res);
+      }).then(function () {
+        expect(fetchMock.lastOptions('put').headers['If-Match']).toEqual('"1"');
+      });
+    });
+
+    it('with a conditional PATCH request', function () {
+      fetchMock.patch('http://example.com/car', {status: 204, headers: {'ETag': '"2"'}}, {name: 'patch'});
+
+      return client.get('http://example.com/car').then(function (res) {
+        res.color = 'blue';
+        return client.save(res, {patch: 'merge'}).then(function (stored) {
+          expect(stored).toBe(res);
+          expect(fetchMock.lastOptions('patch')).toEqual({
+            method: 'PATCH',
+            headers: {'Accept': 'application/hal+json', 'Content-Type': 'application/merge-patch+json', 'If-Match': '"1"'},
+            body: '{"color":"blue"}'
+          });
+
+          res.color = 'green';
+          return client.save(res, {patch: 'json'});
+        });
+      }).then(function () {
+        expect(fetchMock.lastOptions('patch')).toEqual({
+          method: 'PATCH',
+          headers: {'Accept': 'application/hal+json', 'Content-Type': 'application/json-patch+json', 'If-Match': '"2"'},
+          body: '[{"op":"replace","path":"/color","value":"green"}]'
+        });
+      });
+    });
+
+    it('failing with a conflict error if the resource was modified', function () {
+      fetchMock.put('http://example.com/car', {status: 412, body: {message: 'Modified'}}, {name: 'put'});
+
+      return client.get('http://example.com/car').then(function (res) {
+        return client.save(res);
+      }).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalConflictError);
+        expect(error).toBeInstanceOf(hally.HalFetchError);
+        expect(error.name).toEqual('HalConflictError');
+        expect(error.status).toEqual(412);
+        expect(error.body).toEqual({message: 'Modified'});
+      });
+    });
+
+    it('failing with other errors', function () {
+      fetchMock.put('http://example.com/car', 500, {name: 'put'});
+
+      return client.get('http://example.com/car').then(function (res) {
+        return client.save(res);
+      }).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).not.toBeInstanceOf(hally.HalConflictError);
+        expect(error.status).toEqual(500);
+      });
+    });
+
+    it('rejecting unknown patch formats', function () {
+      return client.get('http://example.com/car').then(function (res) {
+        expect(function () {
+          client.save(res, {patch: 'xml'});
+        }).toThrow('Unknown patch format: xml');
+      });
+    });
+  });
+
+  it('saves resources using the modification date', function () {
+    var lastModified = 'Thu, 01 Jan 2015 00:00:00 GMT';
+    fetchMock.get('http://example.com/car', {body: resource('http://example.com/car'), headers: {'Last-Modified': lastModified}});
+    fetchMock.put('http://example.com/car', 204, {name: 'put'});
+
+    return client.get('http://example.com/car').then(function (res) {
+      return client.save(res);
+    }).then(function () {
+      expect(fetchMock.lastOptions('put').headers['If-Unmodified-Since']).toEqual(lastModified);
+    });
+  });
+
+  describe('deletes resources', function () {
+    beforeEach(function () {
+      fetchMock.get('http://example.com/car', {
+        body: resource('http://example.com/car'),
+        headers: {'ETag': '"1"', 'Cache-Control': 'max-age=60'}
+      });
+    });
+
+    it('with a conditional request', function () {
+      fetchMock.delete('http://example.com/car', 204, {name: 'delete'});
+
+      return client.get('http://example.com/car').then(function (res) {
+        return client.delete(res);
+      }).then(function (response) {
+        expect(response.status).toEqual(204);
+        expect(fetchMock.lastOptions('delete')).toEqual({
+          method: 'DELETE',
+          headers: {'Accept': 'application/hal+json', 'If-Match': '"1"'}
+        });
+        return client.get('http://example.com/car');
+      }).then(function () {
+        expect(fetchMock.calls('http://example.com/car').length).toEqual(2);
+      });
+    });
+
+    it('failing with a conflict error if the resource was modified', function () {
+      fetchMock.delete('http://example.com/car', 412, {name: 'delete'});
+
+      return client.get('http://example.com/car').then(function (res) {
+        return client.delete(res);
+      }).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalConflictError);
+      });
+    });
+  });
+
+  describe('submits forms', function () {
+    var car = {
+      brand: 'Ford',
+      _links: {self: {href: 'http://example.com/cars/1'}},
+      _templates: {
+        default: {
+          method: 'put',
+          properties: [{name: 'brand', required: true}]
+        },
+        search: {
+          method: 'get',
+          target: '/cars?sort=brand',
+          properties: [{name: 'q'}, {name: 'color', options: {inline: ['red', 'blue']}}]
+        },
+        rent: {
+          method: 'POST',
+          target: 'rentals',
+          contentType: 'application/x-www-form-urlencoded',
+          properties: [{name: 'days', min: 1}, {name: 'extras'}]
+        }
+      }
+    };
+
+    it('with a body of the content type of the form', function () {
+      fetchMock.post('http://example.com/cars/rentals', 201, {name: 'post'});
+
+      var form = hally.forms(car).rent;
+      return client.submit(form, {days: 3, extras: ['gps', 'child seat']}).then(function (response) {
+        expect(response.status).toEqual(201);
+        expect(fetchMock.lastOptions('post')).toEqual({
+          method: 'POST',
+          headers: {'Accept': 'application/hal+json', 'Content-Type': 'application/x-www-form-urlencoded'},
+          body: 'days=3&extras=gps&extras=child%20seat'
+        });
+      });
+    });
+
+    it('with a conditional request, removing the target from the cache', function () {
+      fetchMock.get('http://example.com/cars/1', {
+        body: car,
+        headers: {'ETag': '"1"', 'Cache-Control': 'max-age=60'}
+      });
+      fetchMock.put('http://example.com/cars/1', 204, {name: 'put'});
+
+      return client.get('http://example.com/cars/1').then(function (res) {
+        return client.submit(hally.forms(res).default, {brand: 'Opel'});
+      }).then(function () {
+        expect(fetchMock.lastOptions('put')).toEqual({
+          method: 'PUT',
+          headers: {'Accept': 'application/hal+json', 'Content-Type': 'application/json', 'If-Match': '"1"'},
+          body: '{"brand":"Opel"}'
+        });
+        return client.get('http://example.com/cars/1');
+      }).then(function () {
+        expect(fetchMock.calls('http://example.com/cars/1').length).toEqual(2);
+      });
+    });
+
+    it('without a conditional request for POST forms', function () {
+      fetchMock.get('http://example.com/cars/rentals', {
+        body: resource('http://example.com/cars/rentals'),
+        headers: {'ETag': '"1"'}
+      });
+      fetchMock.post('http://example.com/cars/rentals', 201, {name: 'post'});
+
+      return client.get('http://example.com/cars/rentals').then(function () {
+        return client.submit(hally.forms(car).rent, {days: 3});
+      }).then(function () {
+        expect(fetchMock.lastOptions('post').headers).not.toHaveProperty('If-Match');
+      });
+    });
+
+    it('with the payload in the query for GET forms', function () {
+      fetchMock.get('http://example.com/cars?sort=brand&q=ford%20focus&color=red', 200, {name: 'search'});
+
+      return client.submit(hally.forms(car).search, {q: 'ford focus', color: 'red'}).then(function (response) {
+        expect(response.status).toEqual(200);
+        expect(fetchMock.lastOptions('search')).toEqual({headers: {'Accept': 'application/hal+json'}});
+      });
+    });
+
+    it('rejecting invalid payloads without sending them', function () {
+      return client.submit(hally.forms(car).default, {brand: ''}).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalFormError);
+        expect(error.message).toEqual("Invalid payload for form default: Property 'brand' is required");
+        expect(error.violations).toEqual([{name: 'brand', message: "Property 'brand' is required"}]);
+      });
+    });
+
+    it('failing with a fetch error if the request fails', function () {
+      fetchMock.post('http://example.com/cars/rentals', 400);
+
+      return client.submit(hally.forms(car).rent, {days: 3}).then(function () {
+        throw new Error('Expected rejection');
+      }, function (error) {
+        expect(error).toBeInstanceOf(hally.HalFetchError);
+        expect(error.status).toEqual(400);
+      });
+    });
+  });
+
+  it('keeps resources that were received before a request was aborted', function () {
+    fetchMock.get('http://example.com', {
+      body: resource('http://example.com', {other: 'http://example.com/other'}),
+      headers: {'Cache-Control': 'max-age=60'}
+    });
+    fetchMock.get('http://example.com/other', function () {
+      controller.abort();
+      return {body: resource('http://example.com/other'), headers: {'Cache-Control': 'max-age=60'}};
+    });
+    var controller = abortController();
+    client = new Client({signal: controller.signal});
+
+    return client.get('http://example.com', 'other').then(function () {
+      throw new Error('Expected rejection');
+    }, function (error) {
+      expect(error).toBeInstanceOf(hally.HalAbortError);
+      client.opts.signal = undefined;
+      return client.get('http://example.com');
+    }).then(function (res) {
+      expect(res).toHaveProperty('_links.self.href', 'http://example.com');
+      expect(fetchMock.calls('http://example.com').length).toEqual(1);
+    });
+  });
+
+  describe('notifies subscribers', function () {
+    var changes;
+
+    beforeEach(function () {
+      changes = [];
+    });
+
+    function listener(res, uri) {
+      changes.push({name: res.name, uri: uri});
+    }
+
+    it('of resources that are fetched again', function () {
+      var names = ['Volvo', 'Ford'];
+      fetchMock.get('http://example.com', resource('http://example.com', {car: 'http://example.com/car'}));
+      fetchMock.get('http://example.com/car', function () {
+        var car = resource('http://example.com/car');
+        car.name = names.shift();
+        return car;
+      });
+
+      client.subscribe('http://example.com/car', listener);
+      return client.get('http://example.com', 'car').then(function (parent) {
+        return client.get('http://example.com/car').then(function (car) {
+          expect(parent._embedded.car).toBe(car);
+          expect(changes).toEqual([
+            {name: 'Volvo', uri: 'http://example.com/car'},
+            {name: 'Ford', uri: 'http://example.com/car'}
+          ]);
+        });
+      });
+    });
+
+    it('of resources embedded by the server', function () {
+      var car = resource('http://example.com/car');
+      car.name = 'Ford';
+      fetchMock.get('http://example.com/other', resource('http://example.com/other', {car: 'http://example.com/car'}));
+      fetchMock.get('http://example.com/car', resource('http://example.com/car'));
+      fetchMock.get('http://example.com', {
+        _links: {self: {href: 'http://example.com'}, car: [{href: 'http://example.com/car'}]},
+        _embedded: {car: [car]}
+      });
+
+      return client.get('http://example.com/other', 'car').then(function (other) {
+        client.subscribe('http://example.com/car', listener);
+        return client.get('http://example.com').then(function (res) {
+          expect(other._embedded.car).toBe(res._embedded.car[0]);
+          expect(changes).toEqual([{name: 'Ford', uri: 'http://example.com/car'}]);
+        });
+      });
+    });
+
+    it('of saved resources', function () {
+      fetchMock.get('http://example.com', resource('http://example.com', {car: 'http://example.com/car'}));
+      fetchMock.get('http://example.com/car', resource('http://example.com/car'));
+      fetchMock.patch('http://example.com/car', {status: 204});
+
+      client.subscribe('http://example.com/car', listener);
+      return client.get('http://example.com', 'car').then(function (parent) {
+        changes = [];
+        parent._embedded.car.name = 'Ford';
+        return client.save(parent._embedded.car, {patch: 'merge'});
+      }).then(function () {
+        expect(changes).toEqual([{name: 'Ford', uri: 'http://example.com/car'}]);
+      });
+    });
+
+    it('until they unsubscribe', function () {
+      fetchMock.get('http://example.com', resource('http://example.com'));
+
+      var other = jest.fn();
+      var unsubscribe = client.subscribe('http://example.com', listener);
+      client.subscribe('http://example.com', other);
+      unsubscribe();
+      client.unsubscribe('http://example.com', other);
+      return client.get('http://example.com').then(function () {
+        expect(changes).toEqual([]);
+        expect(other).not.toHaveBeenCalled();
+        expect(client.subscribers).toEqual({});
+      });
+    });
+  });
+
+  describe('takes and restores snapshots', function () {
+    function mockResources() {
+      fetchMock.get('http://example.com', {
+        body: resource('http://example.com', {other: 'http://example.com/other'}),
+        headers: {'ETag': '"1"'}
+      });
+      mockOther();
+    }
+
+    function mockOther() {
+      fetchMock.get('http://example.com/other', {
+        body: {
+          _links: {self: {href: 'http://example.com/other'}, item: {href: 'http://example.com/item'}},
+          _embedded: {item: resource('http://example.com/item')}
+        },
+        headers: {'Cache-Control': 'max-age=60'}
+      });
+    }
+
+    it('takes a snapshot of the cache', function () {
+      mockResources();
+
+      return client.get('http://example.com', {other: {}}).then(function () {
+        var snapshot = client.snapshot();
+        expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+        expect(Object.keys(snapshot.resources).sort()).toEqual(['http://example.com', 'http://example.com/other']);
+        expect(snapshot.resources['http://example.com']).not.toHaveProperty('_embedded.other');
+        expect(snapshot.resources['http://example.com/other'])
+          .toHaveProperty('_embedded.item._links.self.href', 'http://example.com/item');
+        expect(snapshot.validators).toEqual({'http://example.com': {etag: '"1"'}});
+      });
+    });
+
+    it('does not change the received state of resources', function () {
+      mockResources();
+
+      return client.get('http://example.com', 'other').then(function (root) {
+        var res = root._embedded.other;
+        res.name = 'changed';
+        res._embedded.item.name = 'changed';
+        client.snapshot();
+        expect(hally.mergePatch(res)).toEqual({name: 'changed'});
+        expect(hally.mergePatch(res._embedded.item)).toEqual({name: 'changed'});
+      });
+    });
+
+    it('restores a snapshot without requests', function () {
+      mockResources();
+
+      return client.get('http://example.com', {other: {item: {}}}).then(function (first) {
+        var restored = new Client();
+        restored.restore(client.snapshot());
+        return restored.get('http://example.com', {other: {item: {}}}).then(function (second) {
+          expect(second).toEqual(first);
+          expect(fetchMock.calls('http://example.com').length).toEqual(1);
+          expect(fetchMock.calls('http://example.com/other').length).toEqual(1);
+        });
+      });
+    });
+
+    it('keeps embedded resources that were replaced since', function () {
+      mockOther();
+      var stored = resource('http://example.com/item');
+      stored.name = 'saved';
+      stored.version = 2;
+      fetchMock.put('http://example.com/item', {body: stored, headers: {'ETag': '"2"'}});
+
+      return client.get('http://example.com/other').then(function (other) {
+        other._embedded.item.name = 'saved';
+        return client.save(other._embedded.item);
+      }).then(function () {
+        var snapshot = client.snapshot();
+        expect(snapshot.resources['http://example.com/item']).toEqual(stored);
+        expect(snapshot.validators['http://example.com/item']).toEqual({etag: '"2"'});
+
+        var restored = new Client();
+        restored.restore(snapshot);
+        return restored.get('http://example.com/other', 'item');
+      }).then(function (other) {
+        expect(other._embedded.item.version).toEqual(2);
+        expect(hally.mergePatch(other._embedded.item)).toEqual({});
+        expect(fetchMock.calls('http://example.com/other').length).toEqual(1);
+      });
+    });
+
+    it('uses a restored client in halJson', function () {
+      mockResources();
+
+      return client.get('http://example.com', {other: {}}).then(function () {
+        var opts = {client: new Client()};
+        opts.client.restore(client.snapshot());
+        return fetch('http://example.com').then(hally.halJson(opts, {other: {}}));
+      }).then(function (res) {
+        expect(res).toHaveProperty('_embedded.other._links.self.href', 'http://example.com/other');
+        expect(fetchMock.calls('http://example.com').length).toEqual(2);
+        expect(fetchMock.calls('http://example.com/other').length).toEqual(1);
+      });
+    });
+
+    it('revalidates restored resources after a maximum age', function () {
+      fetchMock.get('http://example.com', function (url, opts) {
+        return {status: 304};
+      });
+
+      client.restore({
+        resources: {'http://example.com': resource('http://example.com')},
+        validators: {'http://example.com': {etag: '"1"'}}
+      }, 0);
+      return client.get('http://example.com').then(function (res) {
+        expect(res).toHaveProperty('_links.self.href', 'http://example.com');
+        expect(fetchMock.lastOptions('http://example.com').headers['If-None-Match']).toEqual('"1"');
+      });
+    });
+  });
+
+  it('resolves self links against the requested URI when interceptors change it', function () {
+    fetchMock.get('http://internal.example.com/a', {
+      _links: {self: {href: '/a'}, b: {href: '/b'}},
+      _embedded: {b: {_links: {self: {href: '/b'}}}}
+    });
+
+    client = new Client({interceptors: [{
+      request: function (request) {
+        request.uri = request.uri.replace('//public.', '//internal.');
+        return request;
+      }
+    }]});
+    return client.get('http://public.example.com/a', 'b').then(function (res) {
+      expect(res._embedded.b).toHaveProperty('_links.self.href', '/b');
+      expect(Object.keys(client.context).sort()).toEqual(['http://public.example.com/a', 'http://public.example.com/b']);
+    });
+  });
+
+  it('requests invalidated resources again', function () {
+    fetchMock.get('http://example.com', {body: resource('http://example.com'), headers: {'Cache-Control': 'max-age=60'}});
+
+    return client.get('http://example.com').then(function () {
+      client.invalidate('http://example.com');
+      return client.get('http://example.com');
+    }).then(function () {
+      expect(fetchMock.calls('http://example.com').length).toEqual(2);
+    });
+  });
+
+  it('requests all resources again after clearing', function () {
+    fetchMock.get('http://example.com', {body: resource('http://example.com'), headers: {'Cache-Control': 'max-age=60'}});
+
+    return client.get('http://example.com').then(function () {
+      client.clear();
+      return client.get('http://example.com');
+    }).then(function () {
+      expect(fetchMock.calls('http://example.com').length).toEqual(2);
+    });
+  });
+});
+
+
+describe('linkHref', function() {
+  var linkHref = hally.linkHref;
+
+  var resource = {
+    _links: {
+      self: {href: 'http://example.com'},
+      rel1: {href: 'http://example.com/linked1'},
+      rel2: [{href: 'http://example.com/linked2a'}, {href: 'http://example.com/linked2b'}],
+      tpl1: {href: 'http://example.com/templated1/{foo}'},
+      tpl2: [{href: 'http://example.com/templated2a/{foo}'}, {href: 'http://example.com/templated2b/{foo}'}],
+      both: {href: 'http://example.com/both/linked'}
+    },
+    _embedded: {
+      emb1: {_links: {self: {href: 'http://example.com/embedded1'}}, _embedded: {}},
+      emb2: [{_links: {self: {href: 'http://example.com/embedded2a'}}, _embedded: {}},
+        {_links: {self: {href: 'http://example.com/embedded2b'}}, _embedded: {}}],
+      both: {_links: {self: {href: 'http://example.com/both/embedded'}}, _embedded: {}}
+    }
+  };
+
+  it('returns the href of a link', function() {
+    expect(linkHref(resource, 'rel1')).toEqual('http://example.com/linked1');
+  });
+
+  it('returns the href of a link array', function() {
+    expect(linkHref(resource, 'rel2')).toEqual(['http://example.com/linked2a', 'http://example.com/linked2b']);
+  });
+
+  it('returns the href of a templated link', function() {
+    expect(linkHref(resource, 'tpl1', {foo: 'bar'})).toEqual('http://example.com/templated1/bar');
+  });
+
+  it('returns the href of a templated link array', function() {
+    expect(linkHref(resource, 'tpl2', {foo: 'bar'}))
+        .toEqual(['http://example.com/templated2a/bar', 'http://example.com/templated2b/bar']);
+  });
+
+  it('returns the href of an embedded resource', function() {
+    expect(linkHref(resource, 'emb1')).toEqual('http://example.com/embedded1');
+  });
+
+  it('returns the href of an embedded resource array', function() {
+    expect(linkHref(resource, 'emb2'))
+        .toEqual(['http://example.com/embedded2a', 'http://example.com/embedded2b']);
+  });
+
+  it('returns the href of a linked resource even when an embedded resource exists', function() {
+    expect(linkHref(resource, 'both')).toEqual('http://example.com/both/linked');
+  });
+
+  it('returns null for embedded resources without a self link', function() {
+    expect(linkHref({_links: {}, _embedded: {item: [{_links: {}}]}}, 'item')).toBeNull();
+    expect(linkHref({_links: {}, _embedded: {item: {}}}, 'item')).toBeNull();
+  });
+
+  it('returns null if a link does not exist', function() {
+    expect(linkHref(resource, 'nonexistent')).toBeNull();
+  });
+
+  describe('with a link selector', function () {
+    var selectable = {
+      _links: {
+        self: {href: 'http://example.com'},
+        alternate: [
+          {href: '/en', name: 'primary', hreflang: 'en-US', type: 'application/hal+json', title: 'English'},
+          {href: '/nl', hreflang: 'nl', type: 'application/hal+json; charset=utf-8', profile: 'http://example.com/p'},
+          {href: '/pdf', type: 'application/pdf'}
+        ],
+        license: {href: '/license', type: 'text/html'}
+      },
+      _embedded: {
+        item: [
+          {_links: {self: {href: '/item1', name: 'first'}}, _embedded: {}},
+          {_links: {self: {href: '/item2'}}, _embedded: {}}
+        ]
+      }
+    };
+
+    it('selects links by name', function () {
+      expect(linkHref(selectable, 'alternate', null, {name: 'primary'})).toEqual(['http://example.com/en']);
+    });
+
+    it('selects links by type', function () {
+      expect(linkHref(selectable, 'alternate', null, {type: 'Application/HAL+JSON'}))
+          .toEqual(['http://example.com/en', 'http://example.com/nl']);
+      expect(linkHref(selectable, 'license', null, {type: 'text/html'})).toEqual('http://example.com/license');
+    });
+
+    it('selects links by hreflang', function () {
+      expect(linkHref(selectable, 'alternate', null, {hreflang: 'en'})).toEqual(['http://example.com/en']);
+      expect(linkHref(selectable, 'alternate', null, {hreflang: 'NL'})).toEqual(['http://example.com/nl']);
+    });
+
+    it('selects links by profile and title', function () {
+      expect(linkHref(selectable, 'alternate', null, {profile: 'http://example.com/p'}))
+          .toEqual(['http://example.com/nl']);
+      expect(linkHref(selectable, 'alternate', null, {title: 'English'})).toEqual(['http://example.com/en']);
+    });
+
+    it('selects embedded resources by their self link', function () {
+      expect(linkHref(selectable, 'item', null, {name: 'first'})).toEqual(['http://example.com/item1']);
+    });
+
+    it('resolves hrefs against the base URI of the selector', function () {
+      expect(linkHref(selectable, 'license', null, {baseUri: 'http://other.example.com'}))
+          .toEqual('http://other.example.com/license');
+    });
+
+    it('returns null if no link matches', function () {
+      expect(linkHref(selectable, 'alternate', null, {name: 'secondary'})).toBeNull();
+      expect(linkHref(selectable, 'license', null, {type: 'application/pdf'})).toBeNull();
+      expect(linkHref(selectable, 'alternate', null, {hreflang: 'de'})).toBeNull();
+    });
+  });
+
+  describe('with CURIEs', function () {
+    var curied = {
+      _links: {
+        self: {href: 'http://example.com'},
+        curies: [
+          {name: 'acme', href: 'http://example.com/rels/{rel}', templated: true},
+          {name: 'other', href: 'http://example.com/rels/{rel}', templated: true}
+        ],
+        'acme:owner': {href: 'http://example.com/owner'},
+        'http://example.com/rels/car': {href: 'http://example.com/car'}
+      },
+      _embedded: {
+        'acme:friend': {_links: {self: {href: 'http://example.com/friend'}}, _embedded: {}}
+      }
+    };
+
+    it('finds a link by its CURIE', function () {
+      expect(linkHref(curied, 'acme:owner')).toEqual('http://example.com/owner');
+    });
+
+    it('finds a link by its URI', function () {
+      expect(linkHref(curied, 'http://example.com/rels/owner')).toEqual('http://example.com/owner');
+    });
+
+    it('finds a link by a CURIE with any prefix', function () {
+      expect(linkHref(curied, 'other:owner')).toEqual('http://example.com/owner');
+      expect(linkHref(curied, 'acme:car')).toEqual('http://example.com/car');
+    });
+
+    it('finds an embedded resource by its URI', function () {
+      expect(linkHref(curied, 'http://example.com/rels/friend')).toEqual('http://example.com/friend');
+    });
+
+    it('does not match unknown prefixes', function () {
+      expect(linkHref(curied, 'unknown:owner')).toBeNull();
+    });
+
+    it('accepts a single curies link', function () {
+      var resource = {
+        _links: {
+          curies: {name: 'acme', href: 'http://example.com/rels/{rel}', templated: true},
+          'acme:owner': {href: 'http://example.com/owner'}
+        },
+        _embedded: {}
+      };
+      expect(linkHref(resource, 'http://example.com/rels/owner')).toEqual('http://example.com/owner');
+    });
+  });
+
+  describe('with relative hrefs', function () {
+    var relative = {
+      _links: {
+        self: {href: 'http://example.com/users/1'},
+        rel1: {href: '/cars/7'},
+        rel2: [{href: '2'}, {href: '../groups/3'}],
+        tpl: {href: 'search{?q}'}
+      },
+      _embedded: {
+        emb: {_links: {self: {href: '/cars/8'}}, _embedded: {}}
+      }
+    };
+
+    it('resolves hrefs against the self link', function () {
+      expect(linkHref(relative, 'rel1')).toEqual('http://example.com/cars/7');
+      expect(linkHref(relative, 'rel2')).toEqual(['http://example.com/users/2', 'http://example.com/groups/3']);
+      expect(linkHref(relative, 'emb')).toEqual('http://example.com/cars/8');
+    });
+
+    it('resolves hrefs against a base URI', function () {
+      expect(linkHref(relative, 'rel1', null, 'https://other.example.com/x')).toEqual('https://other.example.com/cars/7');
+    });
+
+    it('expands templates before resolving', function () {
+      expect(linkHref(relative, 'tpl', {q: 'a b'})).toEqual('http://example.com/users/search?q=a%20b');
+    });
+
+    it('resolves hrefs against a base URI with an empty path', function () {
+      expect(linkHref(relative, 'rel2', null, 'http://example.com'))
+          .toEqual(['http://example.com/2', 'http://example.com/groups/3']);
+    });
+
+    it('leaves hrefs unchanged without a base URI', function () {
+      var resource = {_links: {rel: {href: '/cars/7'}}, _embedded: {}};
+      expect(linkHref(resource, 'rel')).toEqual('/cars/7');
+    });
+
+    // Examples from RFC 3986, section 5.4
+    var examples = {
+      'g:h': 'g:h',
+      'g': 'http://a/b/c/g',
+      './g': 'http://a/b/c/g',
+      'g/': 'http://a/b/c/g/',
+      '/g': 'http://a/g',
+      '//g': 'http://g',
+      '?y': 'http://a/b/c/d;p?y',
+      'g?y': 'http://a/b/c/g?y',
+      '#s': 'http://a/b/c/d;p?q#s',
+      'g#s': 'http://a/b/c/g#s',
+      ';x': 'http://a/b/c/;x',
+      '': 'http://a/b/c/d;p?q',
+      '.': 'http://a/b/c/',
+      './': 'http://a/b/c/',
+      '..': 'http://a/b/',
+      '../g': 'http://a/b/g',
+      '../..': 'http://a/',
+      '../../g': 'http://a/g',
+      '../../../g': 'http://a/g',
+      '/./g': 'http://a/g',
+      '/../g': 'http://a/g',
+      'g.': 'http://a/b/c/g.',
+      '..g': 'http://a/b/c/..g',
+      './../g': 'http://a/b/g',
+      'g/./h': 'http://a/b/c/g/h',
+      'g/../h': 'http://a/b/c/h',
+      'g;x=1/../y': 'http://a/b/c/y',
+      'g?y/./x': 'http://a/b/c/g?y/./x',
+      'g#s/../x': 'http://a/b/c/g#s/../x',
+      'HTTP://User@A/g': 'http://User@a/g'
+    };
+
+    Object.keys(examples).forEach(function (ref) {
+      it('resolves "' + ref + '"', function () {
+        var resource = {_links: {rel: {href: ref}}, _embedded: {}};
+        expect(linkHref(resource, 'rel', null, 'http://a/b/c/d;p?q')).toEqual(examples[ref]);
+      });
+    });
+  });
+
+});
+
+
+describe('parseEmbeds', function() {
+  var parseEmbeds = hally.parseEmbeds;
+
+  it('parses a list of relation types', function() {
+    expect(parseEmbeds('car,friends')).toEqual({car: null, friends: null});
+  });
+
+  it('parses nested embed requests', function() {
+    expect(parseEmbeds('car,friends(car,employer(address))')).toEqual({
+      car: null,
+      friends: {car: null, employer: {address: null}}
+    });
+  });
+
+  it('ignores whitespace', function() {
+    expect(parseEmbeds(' car , friends ( car ) ')).toEqual({car: null, friends: {car: null}});
+  });
+
+  it('parses CURIEs and URIs', function() {
+    expect(parseEmbeds('ex:car,http://example.com/rels/friend')).toEqual({
+      'ex:car': null,
+      'http://example.com/rels/friend': null
+    });
+  });
+
+  it('parses empty expressions', function() {
+    expect(parseEmbeds('')).toEqual({});
+    expect(parseEmbeds('friends()')).toEqual({friends: {}});
+  });
+
+  it('reports the position of a missing relation type', function() {
+    expect(function () {
+      parseEmbeds('car,,friends');
+    }).toThrow('Expected a relation type but found \',\' at position 4 of "car,,friends"');
+  });
+
+  it('reports the position of a missing closing parenthesis', function() {
+    try {
+      parseEmbeds('friends(car');
+      expect(true).toBe(false);
+    } catch (e) {
+      expect(e).toBeInstanceOf(hally.EmbedParseError);
+      expect(e.expression).toBe('friends(car');
+      expect(e.position).toBe(11);
+      expect(e.message).toBe('Expected \',\' or \')\' but found the end at position 11 of "friends(car"');
+    }
+  });
+
+  it('reports an unexpected closing parenthesis', function() {
+    expect(function () {
+      parseEmbeds('car)');
+    }).toThrow('Expected \',\' but found \')\' at position 3 of "car)"');
+  });
+
+  it('reports a trailing comma', function() {
+    expect(function () {
+      parseEmbeds('car,');
+    }).toThrow('Expected a relation type but found the end at position 4 of "car,"');
+  });
+
+  it('reports duplicate relation types', function() {
+    expect(function () {
+      parseEmbeds('car,friends,car');
+    }).toThrow('Duplicate relation type \'car\' at position 12 of "car,friends,car"');
+  });
+
+});
+
+describe('formatEmbeds', function() {
+  var formatEmbeds = hally.formatEmbeds;
+
+  it('formats nested embed requests', function() {
+    expect(formatEmbeds({car: null, friends: {car: {}, employer: {address: null}}}))
+        .toBe('car,friends(car,employer(address))');
+  });
+
+  it('formats empty embed requests', function() {
+    expect(formatEmbeds({})).toBe('');
+    expect(formatEmbeds(null)).toBe('');
+  });
+
+  it('round-trips through parseEmbeds', function() {
+    var expression = 'ex:car,friends(car,employer)';
+    expect(formatEmbeds(hally.parseEmbeds(expression))).toBe(expression);
+  });
+
+  it('rejects embed request options', function() {
+    expect(function () {
+      formatEmbeds({friends: {$optional: true}});
+    }).toThrow('Embed request option \'$optional\' cannot be formatted');
+  });
+
+  it('rejects relation types that cannot be parsed', function() {
+    expect(function () {
+      formatEmbeds({'a,b': null});
+    }).toThrow('Relation type \'a,b\' cannot be formatted');
+  });
+
+});
+
+describe('stateBody', function() {
+  var stateBody = hally.stateBody;
+
+  it('removes the _links and _embedded properties and stringifies', function() {
+    var resource = {
+      property: 'value',
+      _links: {
+        self: {href: 'http://example.com'}
+      },
+      _embedded: {
+        other: {
+          _links: {
+            self: {href: 'http://example.com/other'}
+          },
+          _embedded: {}
+        }
+      }
+    };
+
+    var body = stateBody(resource);
+    expect(body).toEqual('{"property":"value"}');
+  });
+
+});
+
+
+describe('toState', function() {
+  var toState = hally.toState;
+
+  it('removes the _links and _embedded properties', function() {
+    var resource = {
+      property: 'value',
+      _links: {
+        self: {href: 'http://example.com'}
+      },
+      _embedded: {
+        other: {
+          _links: {
+            self: {href: 'http://example.com/other'}
+          },
+          _embedded: {}
+        }
+      }
+    };
+
+    var state = toState(resource);
+    expect(state).toEqual({property: 'value'});
+  });
+
+  it('removes the _errors property', function() {
+    var resource = {
+      property: 'value',
+      _links: {
+        self: {href: 'http://example.com'}
+      },
+      _embedded: {},
+      _errors: {
+        other: new hally.HalFetchError('http://example.com/other', 404, ['other'], '')
+      }
+    };
+
+    var state = toState(resource);
+    expect(state).toEqual({property: 'value'});
+  });
+
+  it('removes the _templates property', function() {
+    var resource = {
+      property: 'value',
+      _links: {
+        self: {href: 'http://example.com'}
+      },
+      _templates: {
+        default: {method: 'PUT', properties: []}
+      }
+    };
+
+    var state = toState(resource);
+    expect(state).toEqual({property: 'value'});
+  });
+
+});
+
+
+describe('mergePatch', function() {
+  var mergePatch = hally.mergePatch;
+
+  it('contains the modified properties', function () {
+    return receivedResource({
+      name: 'Ford',
+      color: 'red',
+      owner: {name: 'John', age: 42},
+      tags: ['a', 'b'],
+      _links: {self: {href: 'http://example.com'}}
+    }).then(function (resource) {
+      resource.color = 'blue';
+      delete resource.name;
+      resource.owner.age = 43;
+      resource.tags.push('c');
+      resource.seats = 4;
+      resource._embedded.other = {_links: {self: {href: 'http://example.com/other'}}};
+
+      expect(mergePatch(resource)).toEqual({
+        name: null,
+        color: 'blue',
+        owner: {age: 43},
+        tags: ['a', 'b', 'c'],
+        seats: 4
+      });
+    });
+  });
+
+  it('is empty if the resource was not modified', function () {
+    return receivedResource({owner: {name: 'John'}, _links: {self: {href: 'http://example.com'}}}).then(function (resource) {
+      expect(mergePatch(resource)).toEqual({});
+      expect(hally.mergePatchBody(resource)).toEqual('{}');
+    });
+  });
+
+  it('contains the whole state of resources that were not received', function () {
+    var resource = {name: 'Ford', _links: {self: {href: 'http://example.com'}}, _embedded: {}};
+    expect(mergePatch(resource)).toEqual({name: 'Ford'});
+  });
+
+  it('has a content type', function () {
+    expect(hally.MERGE_PATCH_CONTENT_TYPE).toEqual('application/merge-patch+json');
+  });
+});
+
+
+describe('jsonPatch', function() {
+  var jsonPatch = hally.jsonPatch;
+
+  it('contains operations for the modifications', function () {
+    return receivedResource({
+      name: 'Ford',
+      color: 'red',
+      owner: {name: 'John', age: 42},
+      tags: ['a', 'b', 'c'],
+      'a/b~c': 1,
+      _links: {self: {href: 'http://example.com'}}
+    }).then(function (resource) {
+      resource.color = 'blue';
+      delete resource.name;
+      resource.owner.age = 43;
+      resource.tags = ['a', 'x'];
+      resource.seats = 4;
+      resource['a/b~c'] = 2;
+
+      expect(jsonPatch(resource)).toEqual([
+        {op: 'remove', path: '/name'},
+        {op: 'replace', path: '/color', value: 'blue'},
+        {op: 'replace', path: '/owner/age', value: 43},
+        {op: 'replace', path: '/tags/1', value: 'x'},
+        {op: 'remove', path: '/tags/2'},
+        {op: 'replace', path: '/a~1b~0c', value: 2},
+        {op: 'add', path: '/seats', value: 4}
+      ]);
+    });
+  });
+
+  it('adds array elements', function () {
+    return receivedResource({tags: ['a'], _links: {self: {href: 'http://example.com'}}}).then(function (resource) {
+      resource.tags.push('b', 'c');
+      expect(jsonPatch(resource)).toEqual([
+        {op: 'add', path: '/tags/1', value: 'b'},
+        {op: 'add', path: '/tags/2', value: 'c'}
+      ]);
+    });
+  });
+
+  it('replaces values of another type', function () {
+    return receivedResource({owner: {name: 'John'}, _links: {self: {href: 'http://example.com'}}}).then(function (resource) {
+      resource.owner = null;
+      expect(jsonPatch(resource)).toEqual([{op: 'replace', path: '/owner', value: null}]);
+    });
+  });
+
+  it('is empty if the resource was not modified', function () {
+    return receivedResource({tags: ['a'], _links: {self: {href: 'http://example.com'}}}).then(function (resource) {
+      expect(jsonPatch(resource)).toEqual([]);
+      expect(hally.jsonPatchBody(resource)).toEqual('[]');
+    });
+  });
+
+  it('adds the whole state of resources that were not received', function () {
+    var resource = {name: 'Ford', _links: {self: {href: 'http://example.com'}}, _embedded: {}};
+    expect(jsonPatch(resource)).toEqual([{op: 'add', path: '/name', value: 'Ford'}]);
+  });
+
+  it('has a content type', function () {
+    expect(hally.JSON_PATCH_CONTENT_TYPE).toEqual('application/json-patch+json');
+  });
+});
+
+
+describe('toHal', function() {
+  var toHal = hally.toHal;
+
+  var opts = {};
+
+  var resources = {
+    'http://example.com': {
+      name: 'John',
+      _links: {
+        self: {href: 'http://example.com'},
+        car: {href: 'http://example.com/car'},
+        friend: {href: 'http://example.com/friend'}
+      },
+      _embedded: {
+        friend: {
+          _links: {
+            self: {href: 'http://example.com/friend'},
+            car: {href: 'http://example.com/car'}
+          }
+        }
+      }
+    },
+    'http://example.com/car': {
+      _links: {
+        self: {href: 'http://example.com/car'},
+        owner: {href: 'http://example.com'}
+      }
+    }
+  };
+
+  function received(uri, embeds) {
+    fetchMock.get('*', function (url) {
+      return resources[url];
+    });
+    return fetch(uri, opts).then(hally.halJson(opts, embeds));
+  }
+
+  it('replaces resources embedded by the client with links', function () {
+    var embeds = {car: {owner: {}}, friend: {car: {}}};
+    return received('http://example.com', embeds).then(function (resource) {
+      resource.name = 'Jane';
+      expect(resource._embedded.car._embedded.owner).toBe(resource);
+
+      expect(toHal(resource)).toEqual({
+        name: 'Jane',
+        _links: {
+          self: {href: 'http://example.com'},
+          car: {href: 'http://example.com/car'},
+          friend: {href: 'http://example.com/friend'}
+        },
+        _embedded: {
+          friend: {
+            _links: {
+              self: {href: 'http://example.com/friend'},
+              car: {href: 'http://example.com/car'}
+            }
+          }
+        }
+      });
+      expect(toHal(resource._embedded.car)).toEqual(resources['http://example.com/car']);
+      expect(JSON.parse(hally.halBody(resource))).toEqual(toHal(resource));
+    });
+  });
+
+  it('keeps resources embedded by the server when they were modified by the client', function () {
+    resources['http://example.com/page1'] = {
+      _links: {
+        self: {href: 'http://example.com/page1'},
+        next: {href: 'http://example.com/page2'}
+      },
+      _embedded: {
+        item: [{_links: {self: {href: 'http://example.com/item1'}}}]
+      }
+    };
+    resources['http://example.com/page2'] = {
+      _links: {
+        self: {href: 'http://example.com/page2'}
+      },
+      _embedded: {
+        item: [{_links: {self: {href: 'http://example.com/item2'}}}],
+        other: {_links: {self: {href: 'http://example.com/other'}}}
+      }
+    };
+
+    var embeds = {$pages: true, item: {}, other: {}};
+    return received('http://example.com/page1', embeds).then(function (resource) {
+      expect(resource._embedded.item.length).toEqual(2);
+      expect(toHal(resource)).toEqual({
+        _links: {
+          self: {href: 'http://example.com/page1'},
+          next: {href: 'http://example.com/page2'},
+          other: [{href: 'http://example.com/other'}]
+        },
+        _embedded: {
+          item: [{_links: {self: {href: 'http://example.com/item1'}}}]
+        }
+      });
+    });
+  });
+
+  it('keeps all embedded resources of resources that were not received', function () {
+    var resource = {
+      _links: {self: {href: 'http://example.com'}},
+      _embedded: {car: {_links: {self: {href: 'http://example.com/car'}}, _embedded: {}}}
+    };
+    expect(toHal(resource)).toEqual({
+      _links: {self: {href: 'http://example.com'}},
+      _embedded: {car: {_links: {self: {href: 'http://example.com/car'}}}}
+    });
+  });
+
+  it('keeps HAL-FORMS templates', function () {
+    var resource = {
+      _links: {self: {href: 'http://example.com'}},
+      _templates: {default: {method: 'PUT'}}
+    };
+    expect(toHal(resource)).toEqual(resource);
+  });
+});
+
+
+describe('normalize', function() {
+  var normalize = hally.normalize;
+
+  function cyclicResources() {
+    var user = {
+      name: 'Alice',
+      _links: {self: {href: 'http://example.com/users/1'}, friends: [{href: 'http://example.com/users/2'}]},
+      _embedded: {}
+    };
+    var friend = {
+      name: 'Bob',
+      _links: {self: {href: 'http://example.com/users/2'}, friends: [{href: 'http://example.com/users/1'}]},
+      _embedded: {friends: [user]}
+    };
+    user._embedded.friends = [friend];
+    return user;
+  }
+
+  it('normalizes cyclic resources', function () {
+    var store = normalize(cyclicResources());
+
+    expect(JSON.parse(JSON.stringify(store))).toEqual({
+      root: 'http://example.com/users/1',
+      entities: {
+        'http://example.com/users/1': {
+          name: 'Alice',
+          _links: {self: {href: 'http://example.com/users/1'}, friends: [{href: 'http://example.com/users/2'}]},
+          _embedded: {friends: ['http://example.com/users/2']}
+        },
+        'http://example.com/users/2': {
+          name: 'Bob',
+          _links: {self: {href: 'http://example.com/users/2'}, friends: [{href: 'http://example.com/users/1'}]},
+          _embedded: {friends: ['http://example.com/users/1']}
+        }
+      }
+    });
+  });
+
+  it('keeps embedded resources without a self link', function () {
+    var store = normalize({
+      _links: {self: {href: 'http://example.com'}},
+      _embedded: {
+        part: {
+          _links: {},
+          _embedded: {other: {_links: {self: {href: 'http://example.com/other'}}}}
+        }
+      }
+    });
+
+    expect(store.entities['http://example.com']._embedded.part).toEqual({
+      _links: {},
+      _embedded: {other: 'http://example.com/other'}
+    });
+    expect(store.entities['http://example.com/other']).toEqual({_links: {self: {href: 'http://example.com/other'}}});
+  });
+
+  it('merges the embedded resources of a resource that is found twice', function () {
+    var store = normalize({
+      _links: {self: {href: 'http://example.com'}},
+      _embedded: {
+        first: {_links: {self: {href: 'http://example.com/shared'}}, _embedded: {a: {_links: {self: {href: 'http://example.com/a'}}}}},
+        second: {_links: {self: {href: 'http://example.com/shared'}}, _embedded: {b: {_links: {self: {href: 'http://example.com/b'}}}}}
+      }
+    });
+
+    expect(store.entities['http://example.com/shared']._embedded).toEqual({
+      a: 'http://example.com/a',
+      b: 'http://example.com/b'
+    });
+  });
+
+  it('keys resources by absolute URI', function () {
+    var store = normalize({
+      _links: {self: {href: '/a'}},
+      _embedded: {other: {_links: {self: {href: 'b'}}}}
+    }, 'http://example.com/a');
+
+    expect(store.root).toEqual('http://example.com/a');
+    expect(Object.keys(store.entities).sort()).toEqual(['http://example.com/a', 'http://example.com/b']);
+    expect(store.entities['http://example.com/a']._embedded).toEqual({other: 'http://example.com/b'});
+    expect(hally.denormalize(store, 'http://example.com/a')).toHaveProperty('_embedded.other._links.self.href', 'b');
+  });
+
+  it('normalizes cyclic resources without self links', function () {
+    fetchMock.get('http://example.com/a', {_links: {up: {href: '/b'}}});
+    fetchMock.get('http://example.com/b', {_links: {down: {href: '/a'}}});
+
+    return new hally.Client({normalize: true}).get('http://example.com/a', 'up(down)').then(function (store) {
+      expect(JSON.parse(JSON.stringify(store))).toEqual({
+        root: 'http://example.com/a',
+        entities: {
+          'http://example.com/a': {
+            _links: {up: {href: '/b'}},
+            _embedded: {up: {_links: {down: {href: '/a'}}, _embedded: {down: 'http://example.com/a'}}}
+          }
+        }
+      });
+    });
+  });
+
+  it('leaves out embedded resources without self links that embed themselves', function () {
+    var part = {_links: {}, _embedded: {}};
+    part._embedded.part = part;
+
+    var store = normalize({_links: {self: {href: 'http://example.com'}}, _embedded: {part: [part]}});
+
+    expect(store.entities['http://example.com']._embedded).toEqual({part: [{_links: {}, _embedded: {}}]});
+  });
+
+  it('is used as the output of halJson', function () {
+    fetchMock.get('http://example.com', {
+      _links: {self: {href: 'http://example.com'}, other: {href: 'http://example.com/other'}}
+    });
+    fetchMock.get('http://example.com/other', {
+      _links: {self: {href: 'http://example.com/other'}, back: {href: 'http://example.com'}}
+    });
+
+    var opts = {normalize: true};
+    return fetch('http://example.com').then(hally.halJson(opts, 'other(back)')).then(function (store) {
+      expect(store.root).toEqual('http://example.com');
+      expect(store.entities['http://example.com']._embedded).toEqual({other: 'http://example.com/other'});
+      expect(store.entities['http://example.com/other']._embedded).toEqual({back: 'http://example.com'});
+    });
+  });
+});
+
+
+describe('denormalize', function() {
+  var denormalize = hally.denormalize;
+
+  var store = {
+    root: 'http://example.com/users/1',
+    entities: {
+      'http://example.com/users/1': {
+        name: 'Alice',
+        _links: {self: {href: 'http://example.com/users/1'}},
+        _embedded: {friends: ['http://example.com/users/2', 'http://example.com/users/3']}
+      },
+      'http://example.com/users/2': {
+        name: 'Bob',
+        _links: {self: {href: 'http://example.com/users/2'}},
+        _embedded: {friends: ['http://example.com/users/1']}
+      }
+    }
+  };
+
+  it('denormalizes the root to a depth of one', function () {
+    expect(denormalize(store)).toEqual({
+      name: 'Alice',
+      _links: {self: {href: 'http://example.com/users/1'}},
+      _embedded: {
+        friends: [{
+          name: 'Bob',
+          _links: {self: {href: 'http://example.com/users/2'}},
+          _embedded: {}
+        }]
+      }
+    });
+  });
+
+  it('denormalizes a resource to a depth', function () {
+    var resource = denormalize(store, 'http://example.com/users/2', 2);
+
+    expect(resource).toHaveProperty('_embedded.friends.0._embedded.friends.0.name', 'Bob');
+    expect(resource).toHaveProperty('_embedded.friends.0._embedded.friends.0._embedded', {});
+    expect(denormalize(store, 'http://example.com/users/2', 0)._embedded).toEqual({});
+  });
+
+  it('does not change the store', function () {
+    denormalize(store).name = 'Carol';
+
+    expect(store.entities['http://example.com/users/1'].name).toEqual('Alice');
+  });
+
+  it('returns undefined for a resource that is not in the store', function () {
+    expect(denormalize(store, 'http://example.com/users/3')).toBeUndefined();
+  });
+});
+
+
+describe('forms', function() {
+  var forms = hally.forms;
+
+  var resource = {
+    _links: {self: {href: 'http://example.com/cars/1'}},
+    _templates: {
+      default: {
+        title: 'Edit car',
+        method: 'put',
+        properties: [
+          {name: 'id', readOnly: true, value: '1'},
+          {name: 'brand', required: true, regex: '[A-Z][a-z]+', maxLength: 10},
+          {name: 'seats', type: 'number', min: 2, max: 9},
+          {name: 'code', minLength: 3},
+          {name: 'color', options: {inline: [{prompt: 'Red', value: 'red'}, {prompt: 'Blue', value: 'blue'}]}},
+          {name: 'extras', options: {inline: ['gps', 'radio'], maxItems: 1}}
+        ]
+      },
+      delete: {
+        method: 'DELETE',
+        target: 'http://example.com/cars/1?force=true'
+      }
+    }
+  };
+
+  it('parses the templates of a resource', function() {
+    var parsed = forms(resource);
+    expect(Object.keys(parsed)).toEqual(['default', 'delete']);
+
+    var form = parsed.default;
+    expect(form).toBeInstanceOf(hally.HalForm);
+    expect(form.key).toEqual('default');
+    expect(form.title).toEqual('Edit car');
+    expect(form.method).toEqual('PUT');
+    expect(form.target).toEqual('http://example.com/cars/1');
+    expect(form.contentType).toEqual('application/json');
+    expect(form.properties[0]).toEqual({name: 'id', type: 'text', required: false, readOnly: true, templated: false, value: '1'});
+    expect(form.properties[2]).toEqual({name: 'seats', type: 'number', required: false, readOnly: false, templated: false, min: 2, max: 9});
+
+    expect(parsed.delete.target).toEqual('http://example.com/cars/1?force=true');
+    expect(parsed.delete.properties).toEqual([]);
+  });
+
+  it('resolves targets against the self link or the base URI', function() {
+    var res = {
+      _links: {self: {href: 'http://example.com/cars/1'}},
+      _templates: {default: {target: '../trucks'}}
+    };
+    expect(forms(res).default.target).toEqual('http://example.com/trucks');
+    expect(forms(res, 'http://example.com/a/b').default.target).toEqual('http://example.com/trucks');
+  });
+
+  it('fails for resources without a self link and base URI', function() {
+    var res = {_links: {}, _templates: {default: {target: '../trucks'}}};
+    expect(function () {
+      forms(res);
+    }).toThrow('Cannot resolve the targets of forms of a resource without a self link; pass a base URI');
+    expect(forms(res, 'http://example.com/a/b').default.target).toEqual('http://example.com/trucks');
+  });
+
+  it('defaults to the GET method', function() {
+    expect(forms({_links: {self: {href: 'http://example.com'}}, _templates: {default: {}}}).default.method).toEqual('GET');
+  });
+
+  it('returns no forms for resources without templates', function() {
+    expect(forms({_links: {self: {href: 'http://example.com'}}})).toEqual({});
+  });
+
+  describe('validates payloads', function() {
+    var form;
+
+    beforeEach(function () {
+      form = forms(resource).default;
+    });
+
+    function messages(payload) {
+      return form.validate(payload).map(function (violation) {
+        return violation.message;
+      });
+    }
+
+    it('accepting valid payloads', function() {
+      expect(form.validate({id: '1', brand: 'Ford', seats: '5', code: 'abc', color: 'red', extras: ['gps']})).toEqual([]);
+      expect(form.validate({brand: 'Ford'})).toEqual([]);
+    });
+
+    it('with required properties', function() {
+      expect(messages({})).toEqual(["Property 'brand' is required"]);
+      expect(messages({brand: null})).toEqual(["Property 'brand' is required"]);
+    });
+
+    it('with read-only properties', function() {
+      expect(messages({id: '2', brand: 'Ford'})).toEqual(["Property 'id' is read-only"]);
+    });
+
+    it('with regular expressions that match the whole value', function() {
+      expect(messages({brand: 'ford'})).toEqual(["Property 'brand' does not match [A-Z][a-z]+"]);
+      expect(messages({brand: 'Ford!'})).toEqual(["Property 'brand' does not match [A-Z][a-z]+"]);
+    });
+
+    it('with minimum and maximum values', function() {
+      expect(messages({brand: 'Ford', seats: 1})).toEqual(["Property 'seats' must be at least 2"]);
+      expect(messages({brand: 'Ford', seats: 10})).toEqual(["Property 'seats' must be at most 9"]);
+      expect(messages({brand: 'Ford', seats: 'many'})).toEqual(["Property 'seats' must be a number"]);
+    });
+
+    it('with minimum and maximum lengths', function() {
+      expect(messages({brand: 'Volkswagenx'})).toEqual(["Property 'brand' must be at most 10 characters"]);
+      expect(messages({brand: 'Ford', code: 'ab'})).toEqual(["Property 'code' must be at least 3 characters"]);
+    });
+
+    it('with inline options', function() {
+      expect(messages({brand: 'Ford', color: 'Red'})).toEqual(["Property 'color' must be one of the options"]);
+      expect(messages({brand: 'Ford', extras: ['gps', 'radio']})).toEqual(["Property 'extras' must have at most 1 values"]);
+    });
+  });
+
+  describe('converts payloads to a body', function() {
+    function form(contentType) {
+      return new hally.HalForm('default', {contentType: contentType}, 'http://example.com');
+    }
+
+    it('as JSON', function() {
+      expect(form('application/json').body({a: 1})).toEqual('{"a":1}');
+      expect(form('application/vnd.example+json; charset=utf-8').body({a: 1})).toEqual('{"a":1}');
+    });
+
+    it('as form data', function() {
+      expect(form('application/x-www-form-urlencoded').body({'a b': 'c&d', e: [1, 2], f: null})).toEqual('a%20b=c%26d&e=1&e=2');
+    });
+
+    it('failing for other content types', function() {
+      expect(function () {
+        form('text/plain').body({});
+      }).toThrow('Unsupported form content type: text/plain');
+    });
+  });
+
+});
+
+
+describe('adapters', function() {
+  var halJson = hally.halJson;
+
+  var opts;
+
+  beforeEach(function () {
+    opts = {headers: {'Accept': 'application/hal+json, application/vnd.siren+json'}};
+  });
+
+  it('are chosen by the content type of responses, also for embedded resources', function () {
+    fetchMock.get('http://example.com/orders/1', {
+      body: {
+        properties: {number: 1},
+        links: [{rel: ['self'], href: 'http://example.com/orders/1'}],
+        entities: [{rel: ['customer'], href: '/customers/2'}]
+      },
+      headers: {'Content-Type': 'application/vnd.siren+json; charset=utf-8'}
+    });
+    fetchMock.get('http://example.com/customers/2', {
+      body: {data: {type: 'customers', id: '2', attributes: {name: 'Jane'}}},
+      headers: {'Content-Type': 'application/vnd.api+json'}
+    });
+
+    return fetch('http://example.com/orders/1', opts).then(halJson(opts, 'customer')).then(function (res) {
+      expect(res.number).toEqual(1);
+      expect(hally.linkHref(res, 'customer')).toEqual('http://example.com/customers/2');
+      expect(res._embedded.customer).toEqual({
+        type: 'customers',
+        id: '2',
+        name: 'Jane',
+        _links: {self: {href: 'http://example.com/customers/2'}},
+        _embedded: {}
+      });
+    });
+  });
+
+  it('can be added in the options', function () {
+    var adapter = {
+      types: ['application/vnd.example+json'],
+      toHal: function (document, uri) {
+        return {value: document.value, _links: {self: {href: uri}}};
+      }
+    };
+    opts.adapters = [adapter];
+    fetchMock.get('http://example.com', {
+      body: {value: 'x'},
+      headers: {'Content-Type': 'application/vnd.example+json'}
+    });
+
+    return new hally.Client(opts).get('http://example.com').then(function (res) {
+      expect(res).toEqual({value: 'x', _links: {self: {href: 'http://example.com'}}, _embedded: {}});
+    });
+  });
+
+  it('can be added in the options of halJson with a client', function () {
+    opts.adapters = [{
+      types: ['application/vnd.example+json'],
+      toHal: function (document, uri) {
+        return {value: document.value, _links: {self: {href: uri}}};
+      }
+    }];
+    opts.client = new hally.Client();
+    fetchMock.get('http://example.com', {_links: {self: {href: 'http://example.com'}, other: {href: '/other'}}});
+    fetchMock.get('http://example.com/other', {
+      body: {value: 'x'},
+      headers: {'Content-Type': 'application/vnd.example+json'}
+    });
+
+    return fetch('http://example.com', opts).then(halJson(opts, 'other')).then(function (res) {
+      expect(res._embedded.other.value).toEqual('x');
+    });
+  });
+
+  it('are not used for HAL and JSON responses', function () {
+    var resource = {_links: {self: {href: 'http://example.com'}}, links: [], _embedded: {}};
+    fetchMock.get('http://example.com', {body: resource, headers: {'Content-Type': 'application/json'}});
+
+    return fetch('http://example.com', opts).then(halJson(opts)).then(function (res) {
+      expect(res).toEqual(resource);
+    });
+  });
+
+  describe('Siren', function () {
+    var toHal = hally.sirenAdapter.toHal;
+
+    it('converts entities', function () {
+      var entity = {
+        class: ['order'],
+        properties: {number: 42, status: 'pending'},
+        entities: [
+          {class: ['items'], rel: ['http://x.io/rels/order-items'], href: 'http://api.x.io/orders/42/items'},
+          {
+            rel: ['http://x.io/rels/customer', 'author'],
+            properties: {name: 'Kevin'},
+            links: [{rel: ['self'], href: 'http://api.x.io/customers/pj123'}]
+          }
+        ],
+        actions: [{
+          name: 'add-item',
+          title: 'Add Item',
+          method: 'POST',
+          href: 'http://api.x.io/orders/42/items',
+          fields: [{name: 'orderNumber', type: 'hidden', value: '42'}, {name: 'quantity', type: 'number'}]
+        }],
+        links: [
+          {rel: ['self'], href: 'http://api.x.io/orders/42'},
+          {rel: ['previous', 'alternate'], href: 'http://api.x.io/orders/41', title: 'Previous'},
+          {rel: ['alternate'], href: 'http://api.x.io/orders/42.pdf', type: 'application/pdf'}
+        ]
+      };
+
+      var customer = {name: 'Kevin', _links: {self: {href: 'http://api.x.io/customers/pj123'}}};
+      expect(toHal(entity, 'http://api.x.io/orders/42?x')).toEqual({
+        number: 42,
+        status: 'pending',
+        _links: {
+          self: {href: 'http://api.x.io/orders/42'},
+          previous: {href: 'http://api.x.io/orders/41', title: 'Previous'},
+          alternate: [
+            {href: 'http://api.x.io/orders/41', title: 'Previous'},
+            {href: 'http://api.x.io/orders/42.pdf', type: 'application/pdf'}
+          ],
+          'http://x.io/rels/order-items': {href: 'http://api.x.io/orders/42/items'}
+        },
+        _embedded: {
+          'http://x.io/rels/customer': customer,
+          author: customer
+        },
+        _templates: {
+          'add-item': {
+            title: 'Add Item',
+            method: 'POST',
+            target: 'http://api.x.io/orders/42/items',
+            contentType: 'application/x-www-form-urlencoded',
+            properties: [{name: 'orderNumber', type: 'hidden', value: '42'}, {name: 'quantity', type: 'number'}]
+          }
+        }
+      });
+    });
+
+    it('adds a self link with the URI of the response', function () {
+      expect(toHal({}, 'http://example.com')).toEqual({_links: {self: {href: 'http://example.com'}}});
+    });
+  });
+
+  describe('JSON:API', function () {
+    var toHal = hally.jsonApiAdapter.toHal;
+
+    var document = {
+      links: {self: 'http://example.com/articles?page=1', next: {href: 'http://example.com/articles?page=2'}},
+      meta: {total: 2},
+      data: [{
+        type: 'articles',
+        id: '1',
+        attributes: {title: 'JSON:API'},
+        relationships: {
+          author: {
+            links: {self: 'http://example.com/articles/1/relationships/author', related: 'http://example.com/articles/1/author'},
+            data: {type: 'people', id: '9'}
+          },
+          comments: {
+            links: {related: 'http://example.com/articles/1/comments'},
+            data: [{type: 'comments', id: '5'}, {type: 'comments', id: '6'}]
+          }
+        },
+        links: {self: 'http://example.com/articles/1'}
+      }, {
+        type: 'articles',
+        id: '2',
+        attributes: {title: 'HAL'}
+      }],
+      included: [
+        {type: 'people', id: '9', attributes: {name: 'Dan'}, links: {self: 'http://example.com/people/9'}},
+        {type: 'comments', id: '5', attributes: {body: 'First!'}}
+      ]
+    };
+
+    it('converts collections', function () {
+      expect(toHal(document, 'http://example.com/articles')).toEqual({
+        meta: {total: 2},
+        _links: {
+          self: {href: 'http://example.com/articles?page=1'},
+          next: {href: 'http://example.com/articles?page=2'}
+        },
+        _embedded: {
+          item: [{
+            type: 'articles',
+            id: '1',
+            title: 'JSON:API',
+            _links: {
+              self: {href: 'http://example.com/articles/1'},
+              author: {href: 'http://example.com/articles/1/author'},
+              comments: {href: 'http://example.com/articles/1/comments'}
+            },
+            _embedded: {
+              author: {type: 'people', id: '9', name: 'Dan', _links: {self: {href: 'http://example.com/people/9'}}},
+              comments: [{type: 'comments', id: '5', body: 'First!', _links: {}}]
+            }
+          }, {
+            type: 'articles',
+            id: '2',
+            title: 'HAL',
+            _links: {}
+          }]
+        }
+      });
+    });
+
+    it('converts single resources, adding the links of the document', function () {
+      var single = {
+        links: {self: 'http://example.com/articles/1?include=author', describedby: 'http://example.com/schema'},
+        data: {type: 'articles', id: '1', links: {self: 'http://example.com/articles/1'}}
+      };
+      expect(toHal(single, 'http://example.com/articles/1')).toEqual({
+        type: 'articles',
+        id: '1',
+        _links: {
+          self: {href: 'http://example.com/articles/1'},
+          describedby: {href: 'http://example.com/schema'}
+        }
+      });
+    });
+
+    it('converts documents without data', function () {
+      expect(toHal({meta: {count: 0}}, 'http://example.com/stats')).toEqual({
+        meta: {count: 0},
+        _links: {self: {href: 'http://example.com/stats'}}
+      });
+    });
+  });
+
+  describe('Collection+JSON', function () {
+    var toHal = hally.collectionJsonAdapter.toHal;
+
+    it('converts collections', function () {
+      var document = {
+        collection: {
+          version: '1.0',
+          href: 'http://example.org/friends/',
+          links: [{rel: 'feed', href: 'http://example.org/friends/rss'}],
+          items: [{
+            href: 'http://example.org/friends/jdoe',
+            data: [{name: 'full-name', value: 'J. Doe', prompt: 'Full Name'}, {name: 'email', value: 'jdoe@example.org'}],
+            links: [{rel: 'blog', href: 'http://examples.org/blogs/jdoe', prompt: 'Blog'}]
+          }],
+          queries: [
+            {rel: 'search', href: 'http://example.org/friends/search', prompt: 'Search', data: [{name: 'search', value: ''}]},
+            {rel: 'all', href: 'http://example.org/friends/all'}
+          ],
+          template: {data: [{name: 'full-name', value: ''}]}
+        }
+      };
+
+      expect(toHal(document, 'http://example.org/friends/?page=1')).toEqual({
+        _links: {
+          self: {href: 'http://example.org/friends/'},
+          feed: {href: 'http://example.org/friends/rss'},
+          search: {href: 'http://example.org/friends/search{?search}', templated: true, title: 'Search'},
+          all: {href: 'http://example.org/friends/all'}
+        },
+        _embedded: {
+          item: [{
+            'full-name': 'J. Doe',
+            email: 'jdoe@example.org',
+            _links: {
+              self: {href: 'http://example.org/friends/jdoe'},
+              blog: {href: 'http://examples.org/blogs/jdoe', title: 'Blog'}
+            }
+          }]
+        }
+      });
+    });
+
+    it('adds a self link with the URI of the response', function () {
+      expect(toHal({collection: {}}, 'http://example.org/friends/')).toEqual({
+        _links: {self: {href: 'http://example.org/friends/'}}
+      });
+    });
+  });
+
+});
+
+
+describe('from', function() {
+  var from = hally.from;
+
+  var opts = {headers: {'Accept': 'application/hal+json'}};
+
+  var resources = {
+    'http://example.com/': {
+      _links: {
+        self: {href: 'http://example.com/'},
+        users: {href: '/users/{id}', templated: true},
+        search: {href: '/search{?q}', templated: true},
+        help: [
+          {href: '/help/en', hreflang: 'en'},
+          {href: '/help/nl', hreflang: 'nl'}
+        ]
+      }
+    },
+    'http://example.com/users/5': {
+      name: 'John',
+      _links: {
+        self: {href: '/users/5'},
+        car: {href: 'cars/1'},
+        friend: {href: '/users/6'}
+      },
+      _embedded: {
+        friend: {
+          name: 'Jane',
+          _links: {
+            self: {href: '/users/6'},
+            car: {href: '/users/6/cars/2'}
+          }
+        }
+      }
+    },
+    'http://example.com/users/cars/1': {
+      brand: 'Ford',
+      _links: {
+        self: {href: '/users/cars/1'},
+        owner: {href: '/users/5'}
+      }
+    },
+    'http://example.com/users/6/cars/2': {
+      brand: 'Opel',
+      _links: {
+        self: {href: '/users/6/cars/2'}
+      }
+    },
+    'http://example.com/help/nl': {
+      _links: {
+        self: {href: '/help/nl'}
+      }
+    },
+    'http://example.com/search': {
+      _links: {
+        self: {href: '/search'}
+      }
+    }
+  };
+
+  beforeEach(function () {
+    fetchMock.get('*', function (url) {
+      return {body: resources[url], headers: {'Cache-Control': 'max-age=60'}};
+    });
+  });
+
+  it('follows links, expanding templates and resolving relative hrefs', function () {
+    return from('http://example.com/', opts).follow('users', {id: 5}).follow('car').get().then(function (res) {
+      expect(res.brand).toEqual('Ford');
+      expect(fetchMock.calls('*').map(function (call) {
+        return call[0];
+      })).toEqual(['http://example.com/', 'http://example.com/users/5', 'http://example.com/users/cars/1']);
+    });
+  });
+
+  it('expands templates without parameters', function () {
+    return from('http://example.com/', opts).follow('search').get().then(function (res) {
+      expect(res).toHaveProperty('_links.self.href', '/search');
+      expect(fetchMock.lastUrl()).toEqual('http://example.com/search');
+    });
+  });
+
+  it('embeds linked resources of the last resource', function () {
+    var traversal = from('http://example.com/', opts).follow('users', {id: 5}).follow('car');
+    return traversal.get('owner').then(function (res) {
+      expect(res._embedded.owner.name).toEqual('John');
+      expect(fetchMock.calls('*').length).toEqual(3);
+    });
+  });
+
+  it('does not request resources embedded by the server', function () {
+    var traversal = from('http://example.com/', opts).follow('users', {id: 5}).follow('friend');
+    return traversal.follow('car').get().then(function (res) {
+      expect(res.brand).toEqual('Opel');
+      expect(fetchMock.calls('*').length).toEqual(3);
+    });
+  });
+
+  it('selects links', function () {
+    return from('http://example.com/', opts).follow('help', null, {hreflang: 'nl'}).get().then(function (res) {
+      expect(res).toHaveProperty('_links.self.href', '/help/nl');
+    });
+  });
+
+  it('gets the resource to start from', function () {
+    return from('http://example.com/', opts).get().then(function (res) {
+      expect(res).toHaveProperty('_links.self.href', 'http://example.com/');
+    });
+  });
+
+  it('fails if a link is not found', function () {
+    return from('http://example.com/', opts).follow('users', {id: 5}).follow('bike').get().then(function () {
+      throw new Error('Expected rejection');
+    }, function (error) {
+      expect(error.message).toEqual("No link 'bike' found in http://example.com/users/5 (following users)");
+    });
+  });
+
+  it('uses the cache of a client', function () {
+    var client = new hally.Client(opts);
+    var traversal = client.from('http://example.com/').follow('users', {id: 5});
+    return traversal.get().then(function () {
+      return traversal.follow('car').get();
+    }).then(function (res) {
+      expect(res.brand).toEqual('Ford');
+      expect(fetchMock.calls('*').length).toEqual(3);
+    });
+  });
+
+});
+
+
+describe('onDeprecation', function() {
+  var listener;
+
+  beforeEach(function () {
+    listener = jest.fn();
+  });
+
+  var resource = {
+    _links: {
+      self: {href: 'http://example.com/'},
+      old: {href: '/old', deprecation: 'http://example.com/deprecations/old'},
+      current: {href: '/current'},
+      items: [
+        {href: '/items/1', deprecation: 'http://example.com/deprecations/items'},
+        {href: '/items/2'}
+      ]
+    },
+    _embedded: {
+      embedded: {_links: {self: {href: '/embedded', deprecation: 'http://example.com/deprecations/embedded'}}}
+    }
+  };
+
+  it('reports deprecated links followed by linkHref', function() {
+    expect(hally.linkHref(resource, 'old', undefined, undefined, listener)).toEqual('http://example.com/old');
+    hally.linkHref(resource, 'current', undefined, undefined, listener);
+    hally.linkHref(resource, 'embedded', undefined, undefined, listener);
+
+    expect(listener.mock.calls).toEqual([[{
+      rel: 'old',
+      href: 'http://example.com/old',
+      deprecation: 'http://example.com/deprecations/old',
+      link: resource._links.old
+    }]]);
+  });
+
+  it('reports each deprecated link followed by linkHref once', function() {
+    hally.linkHref(resource, 'old', undefined, undefined, listener);
+    hally.linkHref(resource, 'old', undefined, undefined, listener);
+    expect(listener.mock.calls.length).toEqual(1);
+
+    var other = jest.fn();
+    hally.linkHref(resource, 'old', undefined, undefined, other);
+    expect(other.mock.calls.length).toEqual(1);
+  });
+
+  it('reports each deprecated link in an array', function() {
+    hally.linkHref(resource, 'items', undefined, undefined, listener);
+    expect(listener.mock.calls.length).toEqual(1);
+    expect(listener.mock.calls[0][0].href).toEqual('http://example.com/items/1');
+  });
+
+  it('reports deprecated links followed when embedding', function() {
+    fetchMock.get('http://example.com/', resource);
+    fetchMock.get('http://example.com/old', {_links: {self: {href: '/old'}}});
+    fetchMock.get('http://example.com/current', {_links: {self: {href: '/current'}}});
+    var opts = {onDeprecation: listener};
+
+    return fetch('http://example.com/', opts).then(hally.halJson(opts, 'old,current')).then(function () {
+      expect(listener.mock.calls.length).toEqual(1);
+      expect(listener.mock.calls[0][0].rel).toEqual('old');
+    });
+  });
+
+  it('reports deprecated links followed by a traversal', function() {
+    fetchMock.get('http://example.com/', resource);
+    fetchMock.get('http://example.com/old', {_links: {self: {href: '/old'}}});
+
+    return hally.from('http://example.com/', {onDeprecation: listener}).follow('old').get().then(function () {
+      expect(listener.mock.calls.length).toEqual(1);
+      expect(listener.mock.calls[0][0].href).toEqual('http://example.com/old');
+    });
+  });
+
+  it('reports each deprecated link once per client', function() {
+    fetchMock.get('http://example.com/', {body: resource, headers: {'Cache-Control': 'max-age=60'}});
+    fetchMock.get('http://example.com/old', {body: {_links: {self: {href: '/old'}}}, headers: {'Cache-Control': 'max-age=60'}});
+
+    var client = new hally.Client({onDeprecation: listener});
+    var other = jest.fn();
+    return client.get('http://example.com/', 'old').then(function () {
+      return client.get('http://example.com/', 'old');
+    }).then(function () {
+      return new hally.Client({onDeprecation: other}).get('http://example.com/', 'old');
+    }).then(function () {
+      expect(listener.mock.calls.length).toEqual(1);
+      expect(other.mock.calls.length).toEqual(1);
+    });
+  });
+});
+
+
+describe('Trace', function() {
+  var trace;
+  var client;
+
+  var resources = {
+    'http://example.com': {
+      _links: {
+        self: {href: 'http://example.com'},
+        fetched: {href: 'http://example.com/fetched'},
+        embedded: {href: 'http://example.com/embedded'},
+        missing: {href: 'http://example.com/missing'}
+      },
+      _embedded: {
+        embedded: {_links: {self: {href: 'http://example.com/embedded'}}}
+      }
+    },
+    'http://example.com/fetched': {
+      _links: {
+        self: {href: 'http://example.com/fetched'},
+        up: {href: 'http://example.com'}
+      }
+    }
+  };
+
+  beforeEach(function () {
+    trace = new hally.Trace();
+    client = new hally.Client({trace: trace});
+  });
+
+  function mockResources() {
+    fetchMock.get('*', function (url) {
+      return {body: resources[url], headers: {'Cache-Control': 'max-age=60'}};
+    });
+  }
+
+  function summary() {
+    return trace.entries.map(function (entry) {
+      return [entry.uri, entry.relPath.join(' > '), entry.source, entry.status];
+    });
+  }
+
+  it('records where resources came from', function() {
+    fetchMock.get('http://example.com/missing', 404);
+    mockResources();
+    var embeds = {fetched: {up: null}, embedded: null, missing: {$optional: true}};
+    return client.get('http://example.com', embeds).then(function () {
+      return client.get('http://example.com/fetched');
+    }).then(function () {
+      expect(summary()).toEqual([
+        ['http://example.com', '', 'fetch', 200],
+        ['http://example.com/fetched', 'fetched', 'fetch', 200],
+        ['http://example.com/embedded', 'embedded', 'embedded', undefined],
+        ['http://example.com/missing', 'missing', 'fetch', 404],
+        ['http://example.com', 'fetched > up', 'context', undefined],
+        ['http://example.com/fetched', '', 'cache', undefined]
+      ]);
+      expect(trace.entries[3].error).toEqual('Request for http://example.com/missing failed with status 404 (embedding missing)');
+      trace.entries.forEach(function (entry) {
+        expect(entry.end).toBeGreaterThanOrEqual(entry.start);
+      });
+      expect(trace.entries[1].attempts).toEqual(1);
+      expect(trace.entries[1].fetchStart).toBeGreaterThanOrEqual(trace.entries[1].start);
+    });
+  });
+
+  it('records requests that were in progress', function() {
+    mockResources();
+    return Promise.all([client.get('http://example.com'), client.get('http://example.com')]).then(function () {
+      expect(summary()).toEqual([
+        ['http://example.com', '', 'fetch', 200],
+        ['http://example.com', '', 'pending', undefined]
+      ]);
+    });
+  });
+
+  it('records resources embedded by the server in the response passed to halJson', function() {
+    mockResources();
+    var opts = {trace: trace};
+    return fetch('http://example.com', opts).then(hally.halJson(opts, 'embedded')).then(function () {
+      expect(summary()).toEqual([
+        ['http://example.com/embedded', 'embedded', 'embedded', undefined]
+      ]);
+    });
+  });
+
+  it('exports the entries as JSON', function() {
+    mockResources();
+    return client.get('http://example.com').then(function () {
+      var json = JSON.parse(JSON.stringify(trace));
+      expect(json).toEqual([{
+        uri: 'http://example.com',
+        relPath: [],
+        source: 'fetch',
+        start: trace.entries[0].start,
+        end: trace.entries[0].end,
+        fetchStart: trace.entries[0].fetchStart,
+        attempts: 1,
+        status: 200
+      }]);
+    });
+  });
+
+  it('exports the requests as a HAR log', function() {
+    fetchMock.get('http://example.com/missing', 404);
+    mockResources();
+    return client.get('http://example.com', {fetched: {up: null}, missing: {$optional: true}}).then(function () {
+      var har = trace.toHar();
+      expect(har.log.version).toEqual('1.2');
+      expect(har.log.creator.name).toEqual('hally');
+      expect(har.log.entries.map(function (entry) {
+        return [entry.request.method, entry.request.url, entry.response.status, entry._relPath, entry._error];
+      })).toEqual([
+        ['GET', 'http://example.com', 200, [], undefined],
+        ['GET', 'http://example.com/fetched', 200, ['fetched'], undefined],
+        ['GET', 'http://example.com/missing', 404, ['missing'],
+          'Request for http://example.com/missing failed with status 404 (embedding missing)']
+      ]);
+
+      var entry = har.log.entries[1];
+      expect(new Date(entry.startedDateTime).getTime()).toEqual(trace.entries[1].start);
+      expect(entry.time).toEqual(entry.timings.blocked + entry.timings.wait);
+      expect(entry.timings.blocked).toBeGreaterThanOrEqual(0);
+      expect(entry._attempts).toEqual(1);
+    });
   });
 
 });